@@ -1,20 +1,26 @@
 // assets/js/i18n.js
+import { LANGS, LANG_NAMES, resolveLang, langChain } from "./js/config.js";
 
 export function getLang() {
   const urlLang = new URLSearchParams(location.search).get("lang");
   const saved = localStorage.getItem("lang");
-  const lang = (urlLang || saved || "es").toLowerCase();
-  const finalLang = lang === "en" ? "en" : "es";
+  const finalLang = resolveLang(urlLang || saved);
 
   document.documentElement.lang = finalLang;
 
   return finalLang;
 }
 
+// data/{lang}.json con lo que le falte rellenado por los de su cadena (ca -> es)
 export async function loadDict(lang) {
-  const res = await fetch(`/data/${lang}.json`, { cache: "no-store" });
-  if (!res.ok) throw new Error(`No puedo cargar /data/${lang}.json`);
-  return await res.json();
+  const dicts = await Promise.all(
+    langChain(lang).map(async (l) => {
+      const res = await fetch(`/data/${l}.json`, { cache: "no-store" });
+      if (!res.ok) throw new Error(`No puedo cargar /data/${l}.json`);
+      return await res.json();
+    })
+  );
+  return Object.assign({}, ...dicts.reverse());
 }
 
 export function applyI18n(t) {
@@ -45,19 +51,8 @@ export function applyI18n(t) {
   });
 }
 
-export function applyMeta(t, pageKeyPrefix) {
-  // title
-  const titleKey = `meta.${pageKeyPrefix}.title`;
-  if (t[titleKey]) document.title = t[titleKey];
-
-  // meta description
-  const descKey = `meta.${pageKeyPrefix}.description`;
-  const metaDesc = document.querySelector('meta[name="description"]');
-  if (metaDesc && t[descKey]) metaDesc.setAttribute("content", t[descKey]);
-}
-
 // -----------------------------
-// Language dropdown (ES / EN)
+// Language dropdown (ES / EN / CA)
 // -----------------------------
 export function initLangDropdown(currentLang) {
   const dropdown = document.getElementById("langDropdown");
@@ -67,18 +62,17 @@ export function initLangDropdown(currentLang) {
   const menu = dropdown.querySelector(".lang-dropdown__menu");
   const current = document.getElementById("langCurrent");
 
-  const otherLang = currentLang === "es" ? "en" : "es";
-
-  // Texto principal (ES ▾ / EN ▾)
+  // Texto principal (ES ▾ / EN ▾ / CA ▾)
   if (current) current.textContent = currentLang.toUpperCase();
 
-  // Renderiza SOLO el idioma contrario
+  // Todos los idiomas, con su nombre en ese idioma; el actual marcado
   if (menu) {
-    menu.innerHTML = `
-      <button type="button" role="menuitem" data-lang="${otherLang}">
-        ${otherLang.toUpperCase()}
-      </button>
-    `;
+    menu.innerHTML = LANGS.map(
+      (lang) => `
+      <button type="button" role="menuitem" data-lang="${lang}" lang="${lang}"${lang === currentLang ? ' aria-current="true"' : ""}>
+        ${LANG_NAMES[lang] || lang.toUpperCase()}
+      </button>`
+    ).join("");
   }
 
   // Toggle menú en móvil (añade/quita clase .open)
@@ -112,6 +106,11 @@ export function initLangDropdown(currentLang) {
     e.stopPropagation();
 
     const newLang = btn.dataset.lang;
+    if (newLang === currentLang) {
+      dropdown.classList.remove("open");
+      trigger?.setAttribute("aria-expanded", "false");
+      return;
+    }
     localStorage.setItem("lang", newLang);
 
     document.documentElement.lang = newLang;
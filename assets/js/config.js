@@ -1,14 +1,22 @@
 export const SITE_ROOT = new URL("../../", import.meta.url); // raíz del sitio
 export const PAGE_SIZE = 8;
 
+// Idiomas de la interfaz y del contenido: definidos en langs.js, compartido con functions/_lib/i18n.js
+export { LANGS, DEFAULT_LANG, LANG_FALLBACK, resolveLang, langChain } from "./langs.js";
+export const LANG_NAMES = { es: "Español", en: "English", ca: "Català" };
+
 export const API_BASE = location.hostname === "localhost" || location.hostname === "127.0.0.1" ? "https://nauticards.es"  : "";
 
 
 
+// Sube este número para invalidar la caché persistente de catálogos (dal.js) en todos los navegadores
+export const DATA_CACHE_VERSION = "1";
+
 export const DATA = {
   companies: new URL("data/companies", SITE_ROOT).href,
   services: new URL("data/services", SITE_ROOT).href,
   ports: new URL("data/ports", SITE_ROOT).href,
   regions: new URL("data/regions", SITE_ROOT).href,
   areas: new URL("data/areas", SITE_ROOT).href,
+  diccionario: new URL("data/diccionario", SITE_ROOT).href,
 };
\ No newline at end of file
@@ -1,12 +1,11 @@
-import { API_BASE } from "./config.js";
-import { trDb } from "./utils.js";
+import { API_BASE, DATA, DATA_CACHE_VERSION } from "./config.js";
+import { trDb, splitList } from "./utils.js";
 
 
 async function getCompanies() {
   // ✅ LITE: índice mínimo (para puertos/servicios)
-  const r = await fetch(`${API_BASE}/api/companies?mode=lite&lang=${window.__lang || "es"}`);
-  if (!r.ok) throw new Error(`Worker companies(lite) -> HTTP ${r.status}`);
-  return r.json();
+  const data = await loadCached(`${API_BASE}/api/companies?mode=lite&lang=${window.__lang || "es"}`);
+  return (data || []).slice();
 }
 
 
@@ -19,22 +18,53 @@ async function getCompany({ id = "", slug = "" } = {}) {
   else throw new Error("getCompany: missing id/slug");
 
   const r = await fetch(u.toString());
+  // 404 = empresa inexistente (no es un error de red/servidor)
+  if (r.status === 404) return null;
   if (!r.ok) throw new Error(`Worker company -> HTTP ${r.status}`);
-  return r.json();
+  return r.json(); // empresa + services[], port, secondary_ports[], region
 }
 
 
 
-async function getCompaniesPaged({ q = "", servicio = "", puerto = "", page = 1, pageSize = 8 } = {}) {
+// Tarjetas por id/slug en el orden pedido (favoritos). -> { items, missing }
+async function getCompaniesByIds(ids, { signal } = {}) {
+  const list = splitList(ids);
+  if (!list.length) return { items: [], missing: [] };
+
   const u = new URL(`${(API_BASE || window.location.origin)}/api/companies`);
+  u.searchParams.set("lang", window.__lang || "es");
+  u.searchParams.set("ids", list.join(","));
+
+  const r = await fetch(u.toString(), { signal });
+  if (!r.ok) throw new Error(`Worker companies ids -> HTTP ${r.status}`);
+
+  const data = await r.json();
+  return { items: data?.items || [], missing: data?.missing || [] };
+}
+
+
+
+// servicio/puerto: string "a,b" o array. match: "any" (por defecto) | "all" (solo servicios)
+// sort: relevance | name | featured | distance | recent ("" = lo que decida el Worker); cerca: puerto para distance
+// signal: AbortSignal para cancelar la petición si llega otra búsqueda (rechaza con AbortError)
+async function getCompaniesPaged({ q = "", servicio = "", puerto = "", match = "any", area = "", region = "", sort = "", cerca = "", page = 1, pageSize = 8, signal } = {}) {
+  const u = new URL(`${(API_BASE || window.location.origin)}/api/companies`);
+  const servicios = splitList(servicio);
+  const puertos = splitList(puerto);
+
   u.searchParams.set("lang", window.__lang || "es");
   if (q) u.searchParams.set("q", q);
-  if (servicio) u.searchParams.set("servicio", servicio);
-  if (puerto) u.searchParams.set("puerto", puerto);
+  if (servicios.length) u.searchParams.set("servicio", servicios.join(","));
+  if (servicios.length > 1 && match === "all") u.searchParams.set("match", "all");
+  if (puertos.length) u.searchParams.set("puerto", puertos.join(","));
+  if (area) u.searchParams.set("area", area);
+  if (region) u.searchParams.set("region", region);
+  if (sort) u.searchParams.set("sort", sort);
+  if (sort === "distance" && cerca) u.searchParams.set("cerca", cerca);
   u.searchParams.set("page", String(page));
   u.searchParams.set("pageSize", String(pageSize));
 
-  const r = await fetch(u.toString());
+  const r = await fetch(u.toString(), { signal });
   // Si implementas el 400 missing_filters en el worker, aquí lo manejas fino:
   if (r.status === 400) return { items: [], total: 0, page: 1, pageSize };
   if (!r.ok) throw new Error(`Worker companies paged -> HTTP ${r.status}`);
@@ -43,12 +73,43 @@ async function getCompaniesPaged({ q = "", servicio = "", puerto = "", page = 1,
 }
 
 
+// Alerta por email de una búsqueda de Buscar (filters con la forma de getQueryParams) -> { id, created, status }
+// status "pending": falta pulsar el enlace del email de confirmación
+// Si falla, err.code = invalid_email | missing_filters | too_many | rate_limited | save_failed
+async function saveSearch({ email, filters }) {
+  const r = await fetch(`${(API_BASE || window.location.origin)}/api/alerts`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ email, filters, lang: window.__lang || "es" }),
+  });
+
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) {
+    const err = new Error(`Worker alerts -> HTTP ${r.status}`);
+    err.code = data?.error || "save_failed";
+    throw err;
+  }
+  return data;
+}
 
-async function getServices() {
-  const r = await fetch(`${API_BASE}/api/services`);
-  if (!r.ok) throw new Error(`Worker services -> HTTP ${r.status}`);
+
+// Autocompletado: [{ type: "service"|"area"|"port"|"company", id, name, slug?, detail?, term? }]
+async function getSuggestions(q, { signal } = {}) {
+  const u = new URL(`${(API_BASE || window.location.origin)}/api/suggest`);
+  u.searchParams.set("q", q);
+  u.searchParams.set("lang", window.__lang || "es");
+
+  const r = await fetch(u.toString(), { signal });
+  if (!r.ok) throw new Error(`Worker suggest -> HTTP ${r.status}`);
 
   const data = await r.json();
+  return data?.items || [];
+}
+
+
+
+async function getServices() {
+  const data = await loadCached(`${API_BASE}/api/services`);
   return (data || []).map((s) => ({
     ...s,
     name: trDb(s.name_i18n, s.name || ""),
@@ -57,10 +118,7 @@ async function getServices() {
 
 
 async function getPServices() {
-  const r = await fetch(`${API_BASE}/api/p_services`);
-  if (!r.ok) throw new Error("Error cargando p_services (worker)");
-
-  const data = await r.json();
+  const data = await loadCached(`${API_BASE}/api/p_services`);
   return (data || []).map((s) => ({
     ...s,
     name: trDb(s.name_i18n, s.name || ""),
@@ -69,20 +127,15 @@ async function getPServices() {
 
 
 async function getPorts() {
-  const r = await fetch(`${API_BASE}/api/ports?lang=${window.__lang || "es"}`);
-  if (!r.ok) throw new Error(`Worker ports -> HTTP ${r.status}`);
-
   // ✅ el worker ya devuelve ARRAY normalizado
-  return r.json();
+  const data = await loadCached(`${API_BASE}/api/ports?lang=${window.__lang || "es"}`);
+  return (data || []).slice();
 }
 
 
 
 async function getRegions() {
-  const r = await fetch(`${API_BASE}/api/regions`);
-  if (!r.ok) throw new Error(`Worker regions -> HTTP ${r.status}`);
-
-  const data = await r.json();
+  const data = await loadCached(`${API_BASE}/api/regions`);
   return (data || []).map((x) => ({
     ...x,
     name: trDb(x.name_i18n, x.name || ""),
@@ -91,10 +144,7 @@ async function getRegions() {
 
 
 async function getAreas() {
-  const r = await fetch(`${API_BASE}/api/areas`);
-  if (!r.ok) throw new Error(`Worker areas -> HTTP ${r.status}`);
-
-  const data = await r.json();
+  const data = await loadCached(`${API_BASE}/api/areas`);
   return (data || []).map((x) => ({
     ...x,
     name: trDb(x.name_i18n, x.name || ""),
@@ -102,6 +152,22 @@ async function getAreas() {
 }
 
 
+// Sinónimos por servicio (data/diccionario.json): { [service_id]: ["motor", ...] }
+// Los términos en español valen también con la web en otro idioma.
+async function getSearchVocabulary(lang = window.__lang || "es") {
+  const dict = await loadJSON(DATA.diccionario);
+  const out = {};
+
+  for (const terms of [dict?.[lang], dict?.es]) {
+    for (const [id, list] of Object.entries(terms || {})) {
+      out[id] = [...new Set([...(out[id] || []), ...(Array.isArray(list) ? list : [])])];
+    }
+  }
+
+  return out;
+}
+
+
 const cache = new Map();
 
 
@@ -134,7 +200,111 @@ async function loadJSON(url) {
 }
 
 
+// ===== Caché persistente de catálogos (localStorage) =====
+// - Fresca (FRESH_MS): se usa sin tocar la red.
+// - Caducada (hasta MAX_STALE_MS): se devuelve al momento y se revalida en segundo plano
+//   (If-None-Match / If-Modified-Since; 304 = sigue valiendo). La próxima carga ya usa lo nuevo.
+// - DATA_CACHE_VERSION en la clave: subirla descarta todo lo guardado.
+// En localhost no se persiste nada (mismo criterio que fetchCacheMode).
+
+const STORE_PREFIX = "nc:dal:";
+const STORE_KEY_PREFIX = `${STORE_PREFIX}${DATA_CACHE_VERSION}:`;
+const FRESH_MS = 10 * 60 * 1000;
+const MAX_STALE_MS = 7 * 24 * 60 * 60 * 1000;
+
+let storePurged = false;
+
+function purgeOldVersions() {
+  if (storePurged) return;
+  storePurged = true;
+
+  try {
+    for (let i = localStorage.length - 1; i >= 0; i--) {
+      const key = localStorage.key(i);
+      if (key?.startsWith(STORE_PREFIX) && !key.startsWith(STORE_KEY_PREFIX)) localStorage.removeItem(key);
+    }
+  } catch {
+    // localStorage no disponible (modo privado, cookies bloqueadas...)
+  }
+}
+
+function readStore(url) {
+  try {
+    const raw = localStorage.getItem(STORE_KEY_PREFIX + url);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeStore(url, entry) {
+  if (fetchCacheMode() === "no-store") return;
+  try {
+    localStorage.setItem(STORE_KEY_PREFIX + url, JSON.stringify(entry));
+  } catch {
+    // Cuota llena o sin localStorage: seguimos solo con la caché en memoria
+  }
+}
+
+async function fetchAndStore(url, prev) {
+  // Cabeceras condicionales solo en mismo origen (cross-origin obligarían a un preflight CORS);
+  // fuera, no-cache deja que el navegador revalide con su propia caché HTTP
+  const sameOrigin = new URL(url, window.location.href).origin === window.location.origin;
+  const headers = {};
+  if (prev && sameOrigin) {
+    if (prev.etag) headers["If-None-Match"] = prev.etag;
+    else if (prev.lastModified) headers["If-Modified-Since"] = prev.lastModified;
+  }
+
+  const r = await fetch(url, { headers, cache: prev && !sameOrigin ? "no-cache" : fetchCacheMode() });
+
+  if (r.status === 304 && prev) {
+    writeStore(url, { ...prev, savedAt: Date.now() });
+    return prev.data;
+  }
+  if (!r.ok) throw new Error(`HTTP ${r.status} for ${url}`);
+
+  const data = await r.json();
+  writeStore(url, {
+    data,
+    etag: r.headers.get("ETag") || "",
+    lastModified: r.headers.get("Last-Modified") || "",
+    savedAt: Date.now(),
+  });
+  return data;
+}
+
+async function loadCached(url) {
+  if (cache.has(url)) return cache.get(url);
+
+  const persist = fetchCacheMode() !== "no-store";
+  if (persist) purgeOldVersions();
+
+  const stored = persist ? readStore(url) : null;
+  const age = stored ? Date.now() - (stored.savedAt || 0) : Infinity;
+
+  let p;
+  if (stored && age < FRESH_MS) {
+    p = Promise.resolve(stored.data);
+  } else if (stored && age < MAX_STALE_MS) {
+    p = Promise.resolve(stored.data);
+    fetchAndStore(url, stored).catch((err) => console.warn("Revalidación fallida:", url, err));
+  } else {
+    // Sin copia usable: a la red (y si falla, mejor lo viejo que nada)
+    p = fetchAndStore(url, stored).catch((err) => {
+      if (stored) return stored.data;
+      throw err;
+    });
+  }
+
+  cache.set(url, p);
+  p.catch(() => cache.delete(url));
+  return p;
+}
+
+
 export {
-  getCompanies, getCompany, getCompaniesPaged,
-  getServices, getPServices, getPorts, getRegions, getAreas
+  getCompanies, getCompany, getCompaniesPaged, getCompaniesByIds, getSuggestions, saveSearch,
+  getServices, getPServices, getPorts, getRegions, getAreas,
+  getSearchVocabulary
 };
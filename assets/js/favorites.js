@@ -0,0 +1,191 @@
+// Favoritos: listas de empresas guardadas en localStorage (una por proyecto de refit).
+// Estado: { active: "<id de lista>", lists: [ { id, name, ids: ["<id o slug>"], updated_at } ] }
+// La lista "default" siempre existe (nombre "" = "Mi lista" traducido).
+import { SITE_ROOT } from "./config.js";
+import { normalize, splitList, tr } from "./utils.js";
+
+const STORE_KEY = "nc:favoritos";
+const DEFAULT_LIST = "default";
+const CHANGE_EVENT = "favorites:change";
+const MAX_NAME_LENGTH = 60;
+
+// Misma clave que /api/companies?ids= (id; en local el slug hace de id)
+function favoriteKey(company) {
+  return String(company?.id ?? company?.slug ?? "");
+}
+
+function emptyState() {
+  return { active: DEFAULT_LIST, lists: [{ id: DEFAULT_LIST, name: "", ids: [], updated_at: 0 }] };
+}
+
+function readState() {
+  let state;
+  try {
+    state = JSON.parse(localStorage.getItem(STORE_KEY) || "null");
+  } catch {
+    state = null;
+  }
+
+  if (!state || !Array.isArray(state.lists)) state = emptyState();
+
+  state.lists = state.lists
+    .filter((l) => l && l.id)
+    .map((l) => ({ id: String(l.id), name: String(l.name || ""), ids: splitList(l.ids || []), updated_at: Number(l.updated_at) || 0 }));
+
+  if (!state.lists.some((l) => l.id === DEFAULT_LIST)) state.lists.unshift(emptyState().lists[0]);
+  if (!state.lists.some((l) => l.id === state.active)) state.active = DEFAULT_LIST;
+
+  return state;
+}
+
+function writeState(state) {
+  try {
+    localStorage.setItem(STORE_KEY, JSON.stringify(state));
+  } catch {
+    // Sin localStorage (modo privado...): los cambios solo duran esta página
+  }
+  window.dispatchEvent(new CustomEvent(CHANGE_EVENT));
+}
+
+function updateList(listId, fn) {
+  const state = readState();
+  const list = state.lists.find((l) => l.id === listId);
+  if (!list) return null;
+
+  fn(list, state);
+  list.updated_at = Date.now();
+  writeState(state);
+  return list;
+}
+
+function listLabel(list) {
+  return list?.name || tr("favorites.defaultList", "Mi lista");
+}
+
+function cleanName(name) {
+  return String(name || "").trim().slice(0, MAX_NAME_LENGTH);
+}
+
+// "Refit Aurora 2026" -> "refit-aurora-2026" (único dentro del estado)
+function uniqueListId(state, name) {
+  const base = normalize(name).replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "") || "lista";
+  let id = base;
+  for (let i = 2; id === DEFAULT_LIST || state.lists.some((l) => l.id === id); i++) id = `${base}-${i}`;
+  return id;
+}
+
+// ===== Lectura =====
+
+function getLists() {
+  return readState().lists;
+}
+
+function getActiveList() {
+  const state = readState();
+  return state.lists.find((l) => l.id === state.active);
+}
+
+function isSaved(companyOrKey, listId = "") {
+  const key = typeof companyOrKey === "object" ? favoriteKey(companyOrKey) : String(companyOrKey);
+  const state = readState();
+  const list = state.lists.find((l) => l.id === (listId || state.active));
+  return Boolean(list?.ids.includes(key));
+}
+
+function savedCount() {
+  return new Set(readState().lists.flatMap((l) => l.ids)).size;
+}
+
+// ===== Escritura =====
+
+function setActiveList(listId) {
+  const state = readState();
+  if (!state.lists.some((l) => l.id === listId) || state.active === listId) return;
+  state.active = listId;
+  writeState(state);
+}
+
+function createList(name, ids = []) {
+  const state = readState();
+  const label = cleanName(name);
+  const list = { id: uniqueListId(state, label), name: label, ids: splitList(ids), updated_at: Date.now() };
+
+  state.lists.push(list);
+  state.active = list.id;
+  writeState(state);
+  return list;
+}
+
+function renameList(listId, name) {
+  return updateList(listId, (list) => {
+    list.name = cleanName(name);
+  });
+}
+
+// La lista por defecto no se borra: se vacía
+function deleteList(listId) {
+  if (listId === DEFAULT_LIST) {
+    updateList(listId, (list) => {
+      list.ids = [];
+    });
+    return;
+  }
+
+  const state = readState();
+  state.lists = state.lists.filter((l) => l.id !== listId);
+  if (state.active === listId) state.active = DEFAULT_LIST;
+  writeState(state);
+}
+
+// -> true si ha quedado guardada
+function toggleSaved(companyOrKey, listId = "") {
+  const key = typeof companyOrKey === "object" ? favoriteKey(companyOrKey) : String(companyOrKey);
+  if (!key) return false;
+
+  let saved = false;
+  updateList(listId || readState().active, (list) => {
+    saved = !list.ids.includes(key);
+    list.ids = saved ? [...list.ids, key] : list.ids.filter((id) => id !== key);
+  });
+  return saved;
+}
+
+function removeSaved(key, listId = "") {
+  updateList(listId || readState().active, (list) => {
+    list.ids = list.ids.filter((id) => id !== String(key));
+  });
+}
+
+// ===== Compartir =====
+
+// /favoritos/?lista=Refit%20Aurora&ids=a,b,c (sin estado en servidor: la URL es la lista)
+function listShareUrl(listId) {
+  const list = readState().lists.find((l) => l.id === listId);
+  const u = new URL("favoritos/", SITE_ROOT);
+  if (list?.name) u.searchParams.set("lista", list.name);
+  u.searchParams.set("ids", (list?.ids || []).join(","));
+  return u.href.replace(/%2C/gi, ",");
+}
+
+function readSharedList(search = window.location.search) {
+  const params = new URLSearchParams(search);
+  const ids = splitList(params.getAll("ids"));
+  if (!ids.length) return null;
+  return { name: cleanName(params.get("lista")), ids };
+}
+
+// Cambios en esta pestaña (writeState) y en otras (evento storage)
+function onFavoritesChange(fn) {
+  window.addEventListener(CHANGE_EVENT, fn);
+  window.addEventListener("storage", (e) => {
+    if (e.key === STORE_KEY) fn();
+  });
+}
+
+export {
+  DEFAULT_LIST,
+  favoriteKey, listLabel,
+  getLists, getActiveList, isSaved, savedCount,
+  setActiveList, createList, renameList, deleteList, toggleSaved, removeSaved,
+  listShareUrl, readSharedList, onFavoritesChange
+};
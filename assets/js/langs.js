@@ -0,0 +1,23 @@
+// assets/js/langs.js
+// Idiomas del sitio. Módulo sin DOM ni location: lo importan el cliente (config.js)
+// y las Functions (functions/_lib/i18n.js), así la lista es una sola.
+
+// En el orden del selector
+export const LANGS = ["es", "en", "ca"];
+export const DEFAULT_LANG = "es";
+
+// Lo que falte en un idioma se toma del siguiente: ca -> es
+export const LANG_FALLBACK = { en: "es", ca: "es" };
+
+// "CA", "ca-ES" -> "ca"; desconocido -> DEFAULT_LANG
+export function resolveLang(value) {
+  const lang = String(value || "").toLowerCase().split("-")[0];
+  return LANGS.includes(lang) ? lang : DEFAULT_LANG;
+}
+
+// "ca" -> ["ca", "es"]: orden en que se buscan los textos
+export function langChain(lang) {
+  const chain = [];
+  for (let l = resolveLang(lang); l && !chain.includes(l); l = LANG_FALLBACK[l]) chain.push(l);
+  return chain;
+}
@@ -1,11 +1,20 @@
-import { runRouter } from "./router.js";
+import { runRouter, bindHistoryNavigation } from "./router.js";
 import { initMobileMenu, initServicesNavDropdown } from "./ui/nav.js";
 import { bindHomeCtaForm, bindContactForm } from "./ui/forms.js";
+import { registerServiceWorker } from "./ui/pwa.js";
+import { bindSaveButtons } from "./ui/favorites.js";
+import { bindCompare } from "./ui/compare.js";
+import { bindSaveSearchForm } from "./ui/alerts.js";
 
 document.addEventListener("DOMContentLoaded", () => {
   initMobileMenu();
   bindHomeCtaForm();
   bindContactForm();
+  bindHistoryNavigation();
+  registerServiceWorker();
+  bindSaveButtons();
+  bindCompare();
+  bindSaveSearchForm();
 
   const start = async () => {
     await initServicesNavDropdown();
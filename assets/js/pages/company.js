@@ -1,7 +1,10 @@
 import { SITE_ROOT } from "../config.js";
-import { getCompany, getServices, getPorts, getRegions, getAreas } from "../dal.js";
-import { safeText, safeAttr, sanitizeUrl, indexById, tr } from "../utils.js";
-import { updateEmpresaSEO } from "../seo.js";
+import { getCompany } from "../dal.js";
+import { safeText, safeAttr, sanitizeUrl, tr } from "../utils.js";
+import { applyPageSEO } from "../seo.js";
+import { routeParams } from "../urls.js";
+import { favoriteKey } from "../favorites.js";
+import { syncSaveButtons } from "../ui/favorites.js";
 
 const SERVICE_ICON_MAP = {
   "acero": "hammer",
@@ -52,10 +55,24 @@ const SERVICE_ICON_MAP = {
   "venta-de-embarcaciones": "badge-euro"
 };
 
+// Ficha ya renderizada en el servidor (functions/empresa/[[path]].js): el JSON embebido es la
+// respuesta de /api/company. undefined = no hay (o es de otro idioma) y toca pedirla.
+function readServerCompany() {
+  const el = document.getElementById("company-data");
+  if (!el) return undefined;
+  try {
+    const data = JSON.parse(el.textContent || "{}");
+    return data.lang === (window.__lang || "es") ? data.company : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
 export async function initCompanyPage() {
+  // /empresa/{slug}/; ?id= / ?slug= solo llegan sin Functions (servidor estático en local)
   const params = new URLSearchParams(window.location.search);
   const idParam = params.get("id");
-  const slugParam = params.get("slug");
+  const slugParam = routeParams().slug || params.get("slug");
 
   const setText = (id, value) => {
     const el = document.getElementById(id);
@@ -63,85 +80,24 @@ export async function initCompanyPage() {
   };
 
   try {
-    const [company, servicesList, portsList, regionsList, areasList] = await Promise.all([
-      getCompany({ id: idParam || "", slug: slugParam || "" }),
-      getServices(),
-      getPorts(),
-      getRegions(),
-      getAreas(),
-    ]);
-
-    const servicesById = indexById(servicesList);
-    const portsById = indexById(portsList);
-    const regionsById = regionsList ? indexById(regionsList) : null;
-    // areasList lo dejas cargado por si lo usas más adelante (ahora mismo no lo estabas usando aquí)
-    void areasList;
+    // /api/company ya devuelve services[], port, secondary_ports[] y region con nombres localizados
+    const serverCompany = readServerCompany();
+    const company = serverCompany !== undefined
+      ? serverCompany
+      : await getCompany({ id: idParam || "", slug: slugParam || "" });
 
     if (!company) {
       setText("company-name", tr("company.notFound", "Empresa no encontrada"));
 
       // ✅ SEO: si no existe, noindex + canonical base
-      updateEmpresaSEO({ company: null, seoPortName: "", idParam, slugParam });
+      applyPageSEO({ type: "empresa", entity: null });
 
       return;
     }
 
     // ==== SEO dinámico empresa (igual filosofía que buscar) ====
-    const seoPortObj =
-      (company?.port_id != null ? portsById.get(String(company.port_id)) : null) || null;
-
-    const seoPortName = (seoPortObj?.name || "").trim();
-
-    // ✅ SEO completo (title/description/robots/canonical)
-    updateEmpresaSEO({ company, seoPortName, idParam, slugParam });
-
-    // ==== Open Graph / Twitter (mantengo lo tuyo, pero mejor canonical/og:url) ====
-    {
-      const setPropMeta = (property, content) => {
-        if (!content) return;
-        let el = document.querySelector(`meta[property="${property}"]`);
-        if (!el) {
-          el = document.createElement("meta");
-          el.setAttribute("property", property);
-          document.head.appendChild(el);
-        }
-        el.setAttribute("content", content);
-      };
-
-      const setNameMeta = (name, content) => {
-        if (!content) return;
-        let el = document.querySelector(`meta[name="${name}"]`);
-        if (!el) {
-          el = document.createElement("meta");
-          el.setAttribute("name", name);
-          document.head.appendChild(el);
-        }
-        el.setAttribute("content", content);
-      };
-
-      const ogTitle = document.title;
-      const ogDescription =
-        document.querySelector('meta[name="description"]')?.getAttribute("content") || "";
-
-      // Usa canonical como og:url (más estable que window.location.href)
-      const canonicalHref =
-        document.querySelector('link[rel="canonical"]')?.getAttribute("href") || window.location.href;
-
-      let ogImage = (company?.logo || "").trim();
-      if (ogImage.startsWith("//")) ogImage = `https:${ogImage}`;
-      if (!ogImage) ogImage = "https://nauticards.es/assets/img/hero.webp";
-
-      setPropMeta("og:title", ogTitle);
-      setPropMeta("og:description", ogDescription);
-      setPropMeta("og:type", "website");
-      setPropMeta("og:url", canonicalHref);
-      setPropMeta("og:image", ogImage);
-
-      setNameMeta("twitter:card", "summary_large_image");
-      setNameMeta("twitter:title", ogTitle);
-      setNameMeta("twitter:description", ogDescription);
-      setNameMeta("twitter:image", ogImage);
-    }
+    // ✅ SEO completo (title/description/robots/canonical, Open Graph/Twitter con la tarjeta de /og/)
+    applyPageSEO({ type: "empresa", entity: company });
 
     // ==== Render ====
     setText("company-name", company.name || "");
@@ -152,19 +108,19 @@ export async function initCompanyPage() {
 
     const servicesEl = document.getElementById("company-services");
     if (servicesEl) {
-      const sIds = Array.isArray(company.service_ids) ? company.service_ids.map(String) : [];
+      const companyServices = Array.isArray(company.services) ? company.services : [];
 
-      if (!sIds.length) {
+      if (!companyServices.length) {
         servicesEl.innerHTML = `
           <div class="rounded-2xl border border-border bg-[#f6f7f8] px-5 py-4 text-sm text-textMuted sm:col-span-2">
             —
           </div>
         `;
       } else {
-        servicesEl.innerHTML = sIds
-          .map((sid) => {
-            const s = servicesById.get(String(sid));
-            const label = s?.name || sid;
+        servicesEl.innerHTML = companyServices
+          .map((s) => {
+            const sid = String(s.id);
+            const label = s.name || sid;
             const icon = SERVICE_ICON_MAP[sid] || "settings";
 
             return `
@@ -189,12 +145,11 @@ export async function initCompanyPage() {
     }
 
     // Port / address / contact
-    const portName =
-      company.port_id != null ? portsById.get(String(company.port_id))?.name || "—" : "—";
+    const portName = company.port?.name || "—";
 
-    const secPorts = Array.isArray(company.secondary_port_ids) ? company.secondary_port_ids : [];
+    const secPorts = Array.isArray(company.secondary_ports) ? company.secondary_ports : [];
     const secNames = secPorts
-      .map((pid) => portsById.get(String(pid))?.name)
+      .map((p) => p?.name)
       .filter(Boolean);
 
     const secEl = document.getElementById("company-secondary-ports");
@@ -211,7 +166,7 @@ export async function initCompanyPage() {
     // Mapa
     const mapEl = document.getElementById("company-map");
     if (mapEl) {
-      const p = company.port_id != null ? portsById.get(String(company.port_id)) : null;
+      const p = company.port || null;
 
       const cLat = company.lat != null ? Number(company.lat) : null;
       const cLng = company.lng != null ? Number(company.lng) : null;
@@ -256,13 +211,20 @@ if (logoImg) {
   }
 }
 
-    const webEl = document.getElementById("company-web");
-    if (webEl) {
-      const url = sanitizeUrl(company.website);
-      webEl.innerHTML = url
-        ? `<a href="${safeAttr(url)}" target="_blank" rel="noopener">${safeText(url)}</a>`
-        : "—";
-    }
+    // Las filas de contacto ya son <a>: solo se les pone el href (como en el HTML del servidor)
+    const website = sanitizeUrl(company.website);
+    setText("company-web", website || "—");
+
+    const setHref = (id, href) => {
+      const el = document.getElementById(id);
+      if (el && href) el.setAttribute("href", href);
+    };
+    const phone = (company.phone || "").toString().replace(/[^\d+]/g, "");
+    const email = (company.email || "").toString().trim();
+    setHref("company-phone-link", phone && `tel:${phone}`);
+    setHref("company-email-link", email && `mailto:${email}`);
+    setHref("company-web-link", website);
+    setHref("company-web-button", website);
 
     const contactBtn = document.getElementById("company-contact-btn");
     if (contactBtn) {
@@ -275,6 +237,13 @@ if (logoImg) {
       }
     }
 
+    const saveBtn = document.getElementById("company-save-btn");
+    if (saveBtn) {
+      saveBtn.dataset.saveCompany = favoriteKey(company);
+      saveBtn.classList.remove("is-hidden");
+      syncSaveButtons(saveBtn.parentElement);
+    }
+
     const fixBtn = document.getElementById("company-fix-btn");
     if (fixBtn) {
       fixBtn.setAttribute("href", new URL("contacto/", SITE_ROOT).href);
@@ -282,16 +251,14 @@ if (logoImg) {
 
     // Region
     const regionEl = document.getElementById("company-region");
-    if (regionEl && regionsById) {
-      const regionName =
-        company.region_id != null ? regionsById.get(String(company.region_id))?.name || "—" : "—";
-      regionEl.textContent = regionName;
+    if (regionEl) {
+      regionEl.textContent = company.region?.name || "—";
     }
   } catch (err) {
     console.error(err);
     setText("company-name", tr("company.errorLoading", "Error cargando empresa"));
 
     // ✅ SEO: error => noindex (evita que Google indexe soft-404)
-    updateEmpresaSEO({ company: null, seoPortName: "", idParam, slugParam });
+    applyPageSEO({ type: "empresa", entity: null });
   }
 }
\ No newline at end of file
@@ -0,0 +1,172 @@
+// /comparar/?ids=a,b,c: tabla de 2–4 empresas (servicios como matriz + puertos, región, web y contacto)
+import { SITE_ROOT } from "../config.js";
+import { getCompaniesByIds, getServices, getPorts, getRegions } from "../dal.js";
+import { companyDetailHref } from "../ui/cards.js";
+import { MIN_COMPARE, MAX_COMPARE } from "../ui/compare.js";
+import { applyPageSEO } from "../seo.js";
+import { indexById, safeText, safeAttr, sanitizeUrl, splitList, setQueryParams, sortByName, tr } from "../utils.js";
+
+let renderGeneration = 0;
+
+function renderMessage(el, text) {
+  const buscarHref = new URL("buscar/", SITE_ROOT).href;
+  el.innerHTML = `
+    <p class="body-text">${safeText(text)}</p>
+    <p class="mt-4"><a class="button button--secondary" href="${safeAttr(buscarHref)}">${safeText(tr("compare.backToSearch", "Ir a Buscar"))}</a></p>
+  `;
+}
+
+function portNames(company, lookups) {
+  return (company.secondary_port_ids || [])
+    .map((id) => lookups.ports.get(String(id))?.name)
+    .filter(Boolean)
+    .join(", ");
+}
+
+// Filas: primero los servicios que ofrecen más empresas, luego por nombre
+function servicesMatrix(companies, lookups) {
+  const counts = new Map();
+  companies.forEach((c) => {
+    (c.service_ids || []).forEach((id) => counts.set(String(id), (counts.get(String(id)) || 0) + 1));
+  });
+
+  return [...counts.keys()]
+    .map((id) => ({ id, name: lookups.services.get(id)?.name || id, count: counts.get(id) }))
+    .sort((a, b) => b.count - a.count || sortByName(a, b));
+}
+
+function renderTable(companies, lookups) {
+  const dash = "—";
+  const cell = (html) => `<td>${html || dash}</td>`;
+
+  const head = companies
+    .map(
+      (c) => `
+      <th scope="col">
+        <a class="compare-table__name" href="${safeAttr(companyDetailHref(c))}">${safeText(c.name)}</a>
+        <button type="button" class="tag__remove" data-compare-drop="${safeAttr(String(c.id ?? ""))}" data-compare-slug="${safeAttr(c.slug || "")}" aria-label="${safeAttr(tr("compare.remove", "Quitar de la comparación"))}">&times;</button>
+      </th>`
+    )
+    .join("");
+
+  const row = (label, cells) => `<tr><th scope="row">${safeText(label)}</th>${cells}</tr>`;
+
+  const infoRows = [
+    row(tr("company.field.port", "Puerto"), companies.map((c) => cell(safeText(lookups.ports.get(String(c.port_id))?.name))).join("")),
+    row(tr("compare.otherPorts", "Otros puertos"), companies.map((c) => cell(safeText(portNames(c, lookups)))).join("")),
+    row(tr("common.region", "Región"), companies.map((c) => cell(safeText(lookups.regions?.get(String(c.region_id))?.name))).join("")),
+    row(
+      tr("company.field.web", "Web"),
+      companies
+        .map((c) => {
+          const url = sanitizeUrl(c.website);
+          return cell(url ? `<a href="${safeAttr(url)}" target="_blank" rel="noopener">${safeText(new URL(url).hostname)}</a>` : "");
+        })
+        .join("")
+    ),
+    row(
+      tr("compare.contact", "Contacto"),
+      companies
+        .map((c) => {
+          const email = (c.email || "").toString().trim();
+          return cell(email ? `<a href="mailto:${safeAttr(email)}">${safeText(email)}</a>` : "");
+        })
+        .join("")
+    ),
+  ];
+
+  const services = servicesMatrix(companies, lookups);
+  const yes = `<span class="compare-table__yes" aria-label="${safeAttr(tr("compare.yes", "Sí"))}">✓</span>`;
+  const no = `<span class="compare-table__no" aria-label="${safeAttr(tr("compare.no", "No"))}">–</span>`;
+
+  const serviceRows = services.map((s) =>
+    row(
+      s.name,
+      companies.map((c) => `<td>${(c.service_ids || []).map(String).includes(s.id) ? yes : no}</td>`).join("")
+    )
+  );
+
+  return `
+    <div class="compare-table__scroll">
+      <table class="compare-table">
+        <thead><tr><td></td>${head}</tr></thead>
+        <tbody>
+          ${infoRows.join("")}
+          <tr class="compare-table__section"><th scope="rowgroup" colspan="${companies.length + 1}">${safeText(tr("compare.services", "Servicios"))}</th></tr>
+          ${serviceRows.join("") || row(tr("compare.services", "Servicios"), companies.map(() => cell("")).join(""))}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+export async function initComparePage() {
+  const root = document.getElementById("compareView");
+  if (!root) return;
+
+  applyPageSEO({ type: "comparar" });
+
+  const generation = ++renderGeneration;
+  const isStale = () => generation !== renderGeneration;
+
+  // Quitar una columna = quitar su id de la URL (sigue siendo compartible)
+  if (root.dataset.bound !== "1") {
+    root.dataset.bound = "1";
+    root.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-compare-drop]");
+      if (!btn) return;
+      // La URL puede traer id o slug
+      const drop = [btn.dataset.compareDrop, btn.dataset.compareSlug].filter(Boolean);
+      const ids = splitList(new URLSearchParams(window.location.search).getAll("ids")).filter((id) => !drop.includes(id));
+      setQueryParams({ ids }, { replace: true });
+      initComparePage().catch(console.error);
+    });
+  }
+
+  const requested = splitList(new URLSearchParams(window.location.search).getAll("ids"));
+  const ids = requested.slice(0, MAX_COMPARE);
+
+  const noteEl = document.getElementById("compareNote");
+  if (noteEl) {
+    noteEl.textContent = requested.length > MAX_COMPARE
+      ? tr("compare.tooMany", "Solo se comparan las {max} primeras empresas.").replace("{max}", String(MAX_COMPARE))
+      : "";
+  }
+
+  if (ids.length < MIN_COMPARE) {
+    renderMessage(root, tr("compare.pickMore", "Marca entre 2 y 4 empresas en Buscar para compararlas."));
+    return;
+  }
+
+  root.setAttribute("aria-busy", "true");
+
+  try {
+    const [{ items }, servicesList, portsList, regionsList] = await Promise.all([
+      getCompaniesByIds(ids),
+      getServices(),
+      getPorts(),
+      getRegions().catch(() => null),
+    ]);
+    if (isStale()) return;
+
+    if (items.length < MIN_COMPARE) {
+      renderMessage(root, tr("compare.notFound", "No encontramos suficientes empresas de este enlace para compararlas."));
+      return;
+    }
+
+    const lookups = {
+      services: indexById(servicesList),
+      ports: indexById(portsList),
+      regions: regionsList ? indexById(regionsList) : null,
+    };
+
+    root.innerHTML = renderTable(items, lookups);
+    document.title = `${items.map((c) => c.name).join(" vs ")} | NautiCards`;
+  } catch (err) {
+    if (isStale()) return;
+    console.error(err);
+    root.innerHTML = `<p class="body-text">${safeText(tr("common.errorLoadingData", "Error cargando datos."))}</p>`;
+  } finally {
+    if (!isStale()) root.removeAttribute("aria-busy");
+  }
+}
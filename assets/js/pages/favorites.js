@@ -0,0 +1,221 @@
+// /favoritos/: listas guardadas (../favorites.js) y vista previa de listas compartidas (?lista=&ids=)
+import { getCompaniesByIds, getServices, getPorts, getRegions } from "../dal.js";
+import { renderCompanyCard, renderCompanyCardSkeletons } from "../ui/cards.js";
+import { applyPageSEO } from "../seo.js";
+import {
+  DEFAULT_LIST,
+  listLabel,
+  getLists,
+  getActiveList,
+  setActiveList,
+  createList,
+  renameList,
+  deleteList,
+  removeSaved,
+  listShareUrl,
+  readSharedList,
+  onFavoritesChange,
+} from "../favorites.js";
+import { indexById, safeText, safeAttr, tr } from "../utils.js";
+
+let renderGeneration = 0;
+
+function countLabel(n) {
+  return (n === 1 ? tr("favorites.countOne", "{n} empresa") : tr("favorites.count", "{n} empresas")).replace("{n}", String(n));
+}
+
+// Quita ?lista=&ids= sin recargar (vuelve a "mis listas")
+function clearSharedParams() {
+  window.history.replaceState(window.history.state, "", window.location.pathname);
+}
+
+function renderListSelect(selectEl, active) {
+  if (!selectEl) return;
+  selectEl.innerHTML = getLists()
+    .map((l) => `<option value="${safeAttr(l.id)}">${safeText(listLabel(l))} (${l.ids.length})</option>`)
+    .join("");
+  selectEl.value = active.id;
+}
+
+function hideListForm() {
+  const form = document.getElementById("favoritesListForm");
+  if (form) form.hidden = true;
+}
+
+function hideShareBox() {
+  const box = document.getElementById("favoritesShareBox");
+  if (box) box.hidden = true;
+}
+
+function bindFavoritesControls() {
+  const toolbar = document.getElementById("favoritesToolbar");
+  if (!toolbar || toolbar.dataset.bound === "1") return;
+  toolbar.dataset.bound = "1";
+
+  const selectEl = document.getElementById("favoritesListSelect");
+  const form = document.getElementById("favoritesListForm");
+  const nameEl = document.getElementById("favoritesListName");
+
+  const openForm = (mode) => {
+    if (!form || !nameEl) return;
+    hideShareBox();
+    form.dataset.mode = mode;
+    form.hidden = false;
+    nameEl.value = mode === "rename" ? getActiveList()?.name || "" : "";
+    nameEl.focus();
+  };
+
+  selectEl?.addEventListener("change", () => {
+    hideListForm();
+    hideShareBox();
+    setActiveList(selectEl.value);
+  });
+
+  document.getElementById("favoritesNew")?.addEventListener("click", () => openForm("create"));
+  document.getElementById("favoritesRename")?.addEventListener("click", () => openForm("rename"));
+  document.getElementById("favoritesListCancel")?.addEventListener("click", hideListForm);
+
+  form?.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const name = nameEl.value.trim();
+    if (!name) return;
+
+    if (form.dataset.mode === "rename") renameList(getActiveList().id, name);
+    else createList(name);
+    hideListForm();
+  });
+
+  document.getElementById("favoritesDelete")?.addEventListener("click", () => {
+    const list = getActiveList();
+    const msg = list.id === DEFAULT_LIST
+      ? tr("favorites.confirmClear", "¿Vaciar «{list}»?")
+      : tr("favorites.confirmDelete", "¿Eliminar la lista «{list}»?");
+    if (window.confirm(msg.replace("{list}", listLabel(list)))) deleteList(list.id);
+  });
+
+  document.getElementById("favoritesShare")?.addEventListener("click", async () => {
+    const box = document.getElementById("favoritesShareBox");
+    const urlEl = document.getElementById("favoritesShareUrl");
+    const statusEl = document.getElementById("favoritesShareStatus");
+    if (!box || !urlEl) return;
+
+    hideListForm();
+    urlEl.value = listShareUrl(getActiveList().id);
+    box.hidden = false;
+    urlEl.select();
+
+    try {
+      await navigator.clipboard.writeText(urlEl.value);
+      if (statusEl) statusEl.textContent = tr("favorites.shareCopied", "Enlace copiado");
+    } catch {
+      // Sin permiso de portapapeles: el enlace queda seleccionado para copiarlo a mano
+      if (statusEl) statusEl.textContent = "";
+    }
+  });
+
+  document.getElementById("favoritesImport")?.addEventListener("click", () => {
+    const shared = readSharedList();
+    if (!shared) return;
+    clearSharedParams();
+    createList(shared.name || tr("favorites.shared.defaultName", "Lista compartida"), shared.ids);
+  });
+
+  document.getElementById("favoritesSharedClose")?.addEventListener("click", () => {
+    clearSharedParams();
+    initFavoritesPage().catch(console.error);
+  });
+
+  // Guardar/quitar desde las tarjetas o cambios en otra pestaña
+  onFavoritesChange(() => initFavoritesPage().catch(console.error));
+}
+
+function renderMissing(missing, listId) {
+  if (!missing.length || !listId) return "";
+  return `
+    <div class="favorites-missing small" style="grid-column: 1 / -1;">
+      ${safeText(tr("favorites.missing", "{n} empresas guardadas ya no están en el directorio.").replace("{n}", String(missing.length)))}
+      <button type="button" class="button button--ghost button--sm" data-remove-missing="${safeAttr(missing.join(","))}">${safeText(tr("favorites.removeMissing", "Quitarlas"))}</button>
+    </div>
+  `;
+}
+
+export async function initFavoritesPage() {
+  const grid = document.getElementById("favoritesGrid");
+  if (!grid) return;
+
+  applyPageSEO({ type: "favoritos" });
+  bindFavoritesControls();
+
+  const generation = ++renderGeneration;
+  const isStale = () => generation !== renderGeneration;
+
+  const shared = readSharedList();
+  const active = getActiveList();
+  const ids = shared ? shared.ids : active.ids;
+
+  const sharedEl = document.getElementById("favoritesShared");
+  const toolbar = document.getElementById("favoritesToolbar");
+  const summaryEl = document.getElementById("favoritesSummary");
+
+  if (sharedEl) sharedEl.hidden = !shared;
+  if (toolbar) toolbar.hidden = Boolean(shared);
+  if (shared) {
+    hideListForm();
+    hideShareBox();
+    const nameEl = document.getElementById("favoritesSharedName");
+    const countEl = document.getElementById("favoritesSharedCount");
+    if (nameEl) nameEl.textContent = shared.name || tr("favorites.shared.defaultName", "Lista compartida");
+    if (countEl) countEl.textContent = ` · ${countLabel(ids.length)}`;
+  } else {
+    renderListSelect(document.getElementById("favoritesListSelect"), active);
+    const deleteBtn = document.getElementById("favoritesDelete");
+    if (deleteBtn) {
+      deleteBtn.textContent = active.id === DEFAULT_LIST
+        ? tr("favorites.clear", "Vaciar lista")
+        : tr("favorites.delete", "Eliminar lista");
+    }
+    const shareBtn = document.getElementById("favoritesShare");
+    if (shareBtn) shareBtn.disabled = !ids.length;
+  }
+
+  if (summaryEl) summaryEl.textContent = shared ? "" : `${listLabel(active)} · ${countLabel(ids.length)}`;
+
+  if (!ids.length) {
+    grid.innerHTML = `<p class="body-text">${safeText(tr("favorites.empty", "Todavía no has guardado ninguna empresa en esta lista. Usa «Guardar» en los resultados o en una ficha."))}</p>`;
+    return;
+  }
+
+  grid.setAttribute("aria-busy", "true");
+  if (!grid.children.length) grid.innerHTML = renderCompanyCardSkeletons(Math.min(ids.length, 8));
+
+  try {
+    const [{ items, missing }, servicesList, portsList, regionsList] = await Promise.all([
+      getCompaniesByIds(ids),
+      getServices(),
+      getPorts(),
+      getRegions().catch(() => null),
+    ]);
+    if (isStale()) return;
+
+    const lookups = {
+      services: indexById(servicesList),
+      ports: indexById(portsList),
+      regions: regionsList ? indexById(regionsList) : null,
+    };
+
+    grid.innerHTML = items.map((c) => renderCompanyCard(c, lookups)).join("") + renderMissing(missing, shared ? "" : active.id);
+    grid.classList.toggle("grid--single", items.length === 1);
+
+    grid.querySelector("[data-remove-missing]")?.addEventListener("click", (e) => {
+      e.currentTarget.dataset.removeMissing.split(",").forEach((id) => removeSaved(id, active.id));
+    });
+
+    if (window.lucide) window.lucide.createIcons();
+  } catch (err) {
+    if (isStale()) return;
+    console.error(err);
+    grid.innerHTML = `<p class="body-text">${safeText(tr("common.errorLoadingData", "Error cargando datos."))}</p>`;
+  } finally {
+    if (!isStale()) grid.removeAttribute("aria-busy");
+  }
+}
@@ -1,7 +1,8 @@
-import { SITE_ROOT, PAGE_SIZE } from "../config.js";
+import { PAGE_SIZE } from "../config.js";
 
 import {
   getCompaniesPaged,
+  getSuggestions,
   getRegions,
   getAreas,
   getPorts,
@@ -16,6 +17,7 @@ import {
   sortByName,
   getQueryParams,
   setQueryParams,
+  splitList,
   tr
 } from "../utils.js";
 
@@ -29,12 +31,17 @@ import {
 } from "../ui/filters.js";
 
 
+import { bindChipMultiSelect, getMultiValues, setMultiValues } from "../ui/multiselect.js";
 import { renderPagination } from "../ui/pagination.js";
 import { rerenderCurrentPage } from "../router.js";
 
-import { renderCompanyCard } from "../ui/cards.js";
+import { renderCompanyCard, renderCompanyCardSkeletons, companyDetailHref } from "../ui/cards.js";
+import { searchHref, serviceHref } from "../urls.js";
+import { bindTypeahead } from "../ui/typeahead.js";
+import { withFacetCounts, renderFacetSidebar } from "../ui/facets.js";
+import { syncSaveSearch } from "../ui/alerts.js";
 import { initPortsMap } from "../ui/portmap.js";
-import { updateBuscarSEO } from "../seo.js";
+import { applyPageSEO } from "../seo.js";
 
 import { renderNoResultsMessage} from "../ui/filters.js";
 
@@ -43,6 +50,141 @@ const grid = document.getElementById("companiesGrid");
 const resultsCounter = document.querySelector(".results__header .small strong");
 const filterForm = document.querySelector("form.filter-bar");
 const paginationList = document.getElementById("paginationList");
+const suggestionsEl = document.getElementById("searchSuggestions");
+const facetsEl = document.getElementById("searchFacets");
+const sortEl = document.getElementById("sortSelect");
+const sortNearEl = document.getElementById("sortNear");
+
+// Conteos de la última búsqueda (los listeners del form se enlazan una sola vez y leen de aquí)
+let currentFacets = null;
+
+// Cada render es una "generación": solo la última pinta. La búsqueda anterior se aborta.
+let renderGeneration = 0;
+let searchController = null;
+
+
+// Añade (o con toggle, quita) un servicio/puerto/zona en la URL y repinta Buscar
+function applyFilterValue(key, value, { toggle = false, clearQuery = false } = {}) {
+  const current = getQueryParams();
+  const next = { page: "1" };
+
+  if (key === "area") {
+    next.area = toggle && current.area === value ? "" : value;
+  } else {
+    const list = splitList(current[key]);
+    const has = list.includes(value);
+    next[key] = (has ? (toggle ? list.filter((v) => v !== value) : list) : [...list, value]).join(",");
+  }
+
+  if (clearQuery) next.q = "";
+
+  setQueryParams(next);
+  rerenderCurrentPage().catch(console.error);
+}
+
+
+const SUGGESTION_TYPE_KEYS = {
+  service: ["search.suggest.type.service", "Servicio"],
+  area: ["search.suggest.type.area", "Zona"],
+  port: ["search.suggest.type.port", "Puerto"],
+  company: ["search.suggest.type.company", "Empresa"],
+};
+
+function renderSuggestionItem(item) {
+  const [key, fallback] = SUGGESTION_TYPE_KEYS[item.type] || ["", item.type];
+  const extra = item.term ? `“${item.term}”` : item.detail || "";
+
+  return `
+    <span class="typeahead__type">${safeText(tr(key, fallback))}</span>
+    <span class="typeahead__name">${safeText(item.name || item.id)}</span>
+    ${extra ? `<span class="typeahead__detail">${safeText(extra)}</span>` : ""}
+  `;
+}
+
+
+// "¿Buscas un servicio?": la API devuelve suggest cuando q nombra servicios
+// (p. ej. "motor" -> Mecánica, ver data/diccionario.json). Pulsar aplica el filtro.
+function renderServiceSuggestions(suggest) {
+  if (!suggestionsEl) return;
+
+  const list = suggest?.servicio || [];
+  suggestionsEl.hidden = !list.length;
+  suggestionsEl.innerHTML = list.length
+    ? `<span>${safeText(tr("search.suggest.service", "¿Buscas un servicio?"))}</span>` +
+      list
+        .map((s) => `
+          <button type="button" class="tag tag--action" data-suggest-service="${safeAttr(s.id)}" data-covered="${suggest.covered ? "1" : ""}">
+            ${safeText(tr("search.suggest.filterBy", "Filtrar por {service}").replace("{service}", s.name || s.id))}
+          </button>
+        `)
+        .join("")
+    : "";
+
+  if (suggestionsEl.dataset.bound === "1") return;
+  suggestionsEl.dataset.bound = "1";
+
+  suggestionsEl.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-suggest-service]");
+    if (!btn) return;
+
+    // Si q solo nombraba el servicio ya no aporta nada: se sustituye por el filtro
+    applyFilterValue("servicio", btn.dataset.suggestService, {
+      clearQuery: btn.dataset.covered === "1",
+    });
+  });
+}
+
+
+// Orden de resultados: ?sort= y, para distance, ?cerca=<puerto> (por defecto el primer puerto filtrado)
+function syncSortControls(filters, companiesPage, portsList) {
+  if (!sortEl) return;
+
+  const relevanceOpt = sortEl.querySelector("option[value='relevance']");
+  if (relevanceOpt) relevanceOpt.disabled = !filters.q;
+
+  const sort = companiesPage?.sort || filters.sort || (filters.q ? "relevance" : "featured");
+  sortEl.value = sort;
+
+  if (sortNearEl) {
+    const options = (portsList || [])
+      .slice()
+      .sort(sortByName)
+      .map((p) => ({ value: String(p.id), label: p.name || String(p.id) }));
+    setOptions(sortNearEl, options, tr("search.sort.nearPlaceholder", "Elige un puerto"));
+    sortNearEl.value = companiesPage?.cerca || filters.cerca || "";
+    sortNearEl.hidden = sort !== "distance";
+  }
+
+  if (sortEl.dataset.bound === "1") return;
+  sortEl.dataset.bound = "1";
+
+  // Ordenar no filtra: se aplica al momento
+  sortEl.addEventListener("change", () => {
+    if (sortNearEl) sortNearEl.hidden = sortEl.value !== "distance";
+    setQueryParams({ sort: sortEl.value, page: "1" });
+    rerenderCurrentPage().catch(console.error);
+  });
+
+  sortNearEl?.addEventListener("change", () => {
+    setQueryParams({ sort: "distance", cerca: sortNearEl.value, page: "1" });
+    rerenderCurrentPage().catch(console.error);
+  });
+}
+
+
+function renderFacets(filters, lookups) {
+  if (!facetsEl) return;
+
+  renderFacetSidebar(facetsEl, { facets: currentFacets, lookups, filters });
+
+  if (facetsEl.dataset.bound === "1") return;
+  facetsEl.dataset.bound = "1";
+
+  facetsEl.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-facet]");
+    if (btn) applyFilterValue(btn.dataset.facet, btn.dataset.value, { toggle: true });
+  });
+}
 
 
 
@@ -59,6 +201,18 @@ export async function initHomePage() {
   const isHome = pageKey === "home";
   const isBuscar = pageKey === "buscar";
 
+  const generation = ++renderGeneration;
+  const isStale = () => generation !== renderGeneration;
+
+  searchController?.abort();
+  searchController = null;
+
+  const willSearch = isBuscar && hasValidSearch(filters);
+  if (willSearch && grid) {
+    grid.innerHTML = renderCompanyCardSkeletons(PAGE_SIZE);
+    grid.setAttribute("aria-busy", "true");
+  }
+
 
   try {
     const [servicesList, portsList, regionsList, areasList] = await Promise.all([
@@ -67,19 +221,32 @@ export async function initHomePage() {
   getRegions(),
   getAreas(),
 ]);
+if (isStale()) return;
 
 let companiesPage = null;
-if (isBuscar && hasValidSearch(filters)) {
+if (willSearch) {
+  const controller = new AbortController();
+  searchController = controller;
   companiesPage = await getCompaniesPaged({
     q: filters.q || "",
     servicio: filters.servicio || "",
     puerto: filters.puerto || "",
+    match: filters.match || "any",
+    area: filters.area || "",
+    region: filters.region || "",
+    sort: filters.sort || "",
+    cerca: filters.cerca || "",
     page: currentPage,
     pageSize: PAGE_SIZE, // usa tu constante (8)
+    signal: controller.signal,
   });
+  if (isStale()) return;
 }
 
+currentFacets = companiesPage?.facets || null;
+
 await initPortsMap();
+if (isStale()) return;
 
 
     const lookups = {
@@ -95,7 +262,6 @@ await initPortsMap();
 const popularListEl = document.getElementById("servicesPopular");
 
 if (popularListEl) {
-  const buscarBase = new URL("buscar/", SITE_ROOT).href;
   const PLACEHOLDER = "https://r2.flowith.net/sandbox-placeholder.png";
 
   const getServiceIcon = (service) => {
@@ -120,7 +286,7 @@ if (popularListEl) {
   const renderServiceCard = (s) => {
     const id = String(s.id);
     const name = s.name || id;
-    const href = `${buscarBase}?servicio=${encodeURIComponent(id)}`;
+    const href = serviceHref(id);
     const imgUrl = s.image_url ? String(s.image_url) : PLACEHOLDER;
     const icon = getServiceIcon(s);
 
@@ -181,12 +347,35 @@ if (popularListEl) {
     if (filterForm) {
       const serviceEl = filterForm.querySelector("[name='servicio']");
       const areaEl = filterForm.querySelector("[name='area']");
+      const regionEl = filterForm.querySelector("[name='region']");
       const portEl = filterForm.querySelector("[name='puerto']");
       const qEl = filterForm.querySelector("[name='q']");
       const submitBtn = filterForm.querySelector('button[type="submit"]');
+      const matchEl = filterForm.querySelector("[data-service-match]");
       let buildPortOptions = null;
       let refreshPortsForArea = null;
 
+      // Buscar: servicio/puerto con data-multi => varios valores como chips.
+      // Avisamos al form con "change" para que recalcule el botón y el toggle any/all.
+      const notifyForm = () => filterForm.dispatchEvent(new Event("change"));
+      if (serviceEl?.hasAttribute("data-multi")) {
+        bindChipMultiSelect(serviceEl, {
+          getLabel: (id) => lookups.services.get(String(id))?.name,
+          onChange: notifyForm,
+        });
+      }
+      if (portEl?.hasAttribute("data-multi")) {
+        bindChipMultiSelect(portEl, {
+          getLabel: (id) => lookups.ports.get(String(id))?.name,
+          onChange: notifyForm,
+        });
+      }
+
+      // El modo any/all solo tiene sentido con 2+ servicios
+      const syncMatchToggle = () => {
+        if (matchEl) matchEl.hidden = getMultiValues(serviceEl).length < 2;
+      };
+
 
 
       if (serviceEl) {
@@ -194,14 +383,22 @@ if (popularListEl) {
           .slice()
           .sort(sortByName)
           .map((s) => ({ value: String(s.id), label: s.name || String(s.id) }));
-        setOptions(serviceEl, options, tr("common.any", "Cualquiera"));
+        setOptions(serviceEl, withFacetCounts(options, currentFacets?.servicio), tr("common.any", "Cualquiera"));
       }
       if (areaEl) {
         const options = (areasList || [])
           .slice()
           .sort(sortByName)
           .map((a) => ({ value: String(a.id), label: a.name || String(a.id) }));
-        setOptions(areaEl, options, tr("common.any", "Cualquiera"));
+        setOptions(areaEl, withFacetCounts(options, currentFacets?.area), tr("common.any", "Cualquiera"));
+      }
+      // Región: sin conteos (la API no da faceta de región); así ?region= no se pierde al tocar el form
+      if (regionEl) {
+        const options = (regionsList || [])
+          .slice()
+          .sort(sortByName)
+          .map((r) => ({ value: String(r.id), label: r.name || String(r.id) }));
+        setOptions(regionEl, options, tr("common.any", "Cualquiera"));
       }
 
       if (portEl) {
@@ -211,18 +408,20 @@ if (popularListEl) {
     return String(p.area_id || "") === String(wantedAreaId);
   });
 
-  return list
+  const options = list
     .slice()
     .sort(sortByName)
     .map((p) => ({ value: String(p.id), label: p.name || String(p.id) }));
+  return withFacetCounts(options, currentFacets?.puerto);
 };
 
 refreshPortsForArea = (areaId) => {
-  const currentPort = portEl.value;
+  const currentPorts = getMultiValues(portEl);
   setOptions(portEl, buildPortOptions(areaId), tr("common.any", "Cualquiera"));
 
-  const stillExists = [...portEl.options].some((o) => o.value === currentPort);
-  if (currentPort && !stillExists) portEl.value = "";
+  // Quita los puertos que ya no pertenecen a la zona elegida
+  const available = new Set([...portEl.options].map((o) => o.value));
+  setMultiValues(portEl, currentPorts.filter((p) => available.has(p)));
 };
 
 
@@ -237,6 +436,7 @@ refreshPortsForArea = (areaId) => {
       if (areaEl && portEl && typeof refreshPortsForArea === "function") {
   refreshPortsForArea(areaEl.value || "");
 }
+      syncMatchToggle();
 
 
 
@@ -246,10 +446,13 @@ refreshPortsForArea = (areaId) => {
 
         const readForm = () => {
           const fd = new FormData(filterForm);
+          const servicios = getMultiValues(serviceEl);
           return {
             area: fd.get("area") || "",
-            servicio: fd.get("servicio") || "",
-            puerto: fd.get("puerto") || "",
+            region: fd.get("region") || "",
+            servicio: servicios.join(","),
+            puerto: getMultiValues(portEl).join(","),
+            match: servicios.length > 1 && fd.get("match") === "all" ? "all" : "",
             q: fd.get("q") || "",
             page: "1",
           };
@@ -280,6 +483,7 @@ refreshPortsForArea = (areaId) => {
             // Actualizar estado al tocar cualquier campo
             filterForm.addEventListener("input", updateSearchButtonState);
             filterForm.addEventListener("change", updateSearchButtonState);
+            filterForm.addEventListener("change", syncMatchToggle);
 
 
 
@@ -329,8 +533,7 @@ refreshPortsForArea = (areaId) => {
           const isHome = document.body.dataset.page === "home";
 
           if (isHome) {
-            const params = new URLSearchParams(filters).toString();
-            window.location.href = `${new URL("buscar/", SITE_ROOT).href}?${params}`;
+            window.location.href = searchHref(filters);
             return;
           }
 
@@ -340,11 +543,41 @@ refreshPortsForArea = (areaId) => {
 
         // IMPORTANT: selects should NOT auto-filter. They only set form values.
 
-        // q: Enter behaves like submit
+        // Sugerencia elegida: empresa -> su ficha; servicio/puerto/zona -> se aplica como filtro (sin q)
+        const applySuggestion = (item) => {
+          if (item.type === "company") {
+            window.location.href = companyDetailHref(item);
+            return;
+          }
+
+          const next = { ...readForm(), q: "" };
+          const id = String(item.id);
+          const addTo = (list) => [...splitList(list).filter((v) => v !== id), id].join(",");
+
+          if (item.type === "service") next.servicio = addTo(next.servicio);
+          else if (item.type === "port") next.puerto = addTo(next.puerto);
+          else if (item.type === "area") next.area = id;
+
+          if (document.body.dataset.page === "home") {
+            window.location.href = searchHref(next);
+            return;
+          }
+
+          setQueryParams(next);
+          rerenderCurrentPage().catch(console.error);
+        };
+
+        // q: Enter behaves like submit (salvo si el typeahead ya ha elegido una sugerencia)
         const qEl = filterForm.querySelector("[name='q']");
         if (qEl) {
+          bindTypeahead(qEl, {
+            fetchItems: getSuggestions,
+            renderItem: renderSuggestionItem,
+            onSelect: applySuggestion,
+          });
+
           qEl.addEventListener("keydown", (ev) => {
-            if (ev.key === "Enter") {
+            if (ev.key === "Enter" && !ev.defaultPrevented) {
               ev.preventDefault();
               filterForm.requestSubmit();
             }
@@ -357,6 +590,7 @@ refreshPortsForArea = (areaId) => {
 // HOME: no renderiza resultados
 // ===============================
 if (isHome) {
+  applyPageSEO({ type: "home" });
   if (resultsCounter) resultsCounter.textContent = "0";
   if (grid) grid.innerHTML = "";
   if (paginationList) paginationList.innerHTML = "";
@@ -369,7 +603,12 @@ if (isHome) {
 // ===============================
 if (!isBuscar) return;
 
+syncSaveSearch(filters);
+
 if (!hasValidSearch(filters)) {
+  applyPageSEO({ type: "buscar", filters, lookups });
+  renderServiceSuggestions(null);
+  renderFacets(filters, lookups);
   renderMissingFiltersMessage();
   return;
 }
@@ -380,9 +619,15 @@ const safePage = Number(companiesPage?.page || 1);
 
 if (resultsCounter) resultsCounter.textContent = String(total);
 
+renderServiceSuggestions(companiesPage?.suggest);
+renderFacets(filters, lookups);
+syncSortControls(filters, companiesPage, portsList);
+
 if (total === 0) {
+  applyPageSEO({ type: "buscar", filters, lookups, total });
   renderNoResultsMessage({
     filters,
+    lookups,
     gridEl: grid,
     counterEl: resultsCounter,
     paginationEl: paginationList
@@ -392,13 +637,13 @@ if (total === 0) {
 
 if (grid) {
   grid.innerHTML = items
-    .map((c) => renderCompanyCard(c, lookups, filters.servicio))
+    .map((c) => renderCompanyCard(c, lookups, filters.servicio, { compare: true }))
     .join("");
   grid.classList.toggle("grid--single", items.length === 1);
 }
 
 // ✅ SEO dinámico aquí
-updateBuscarSEO({ filters, lookups, total });
+applyPageSEO({ type: "buscar", filters, lookups, total, items });
 
 // Paginación: solo si existe el contenedor
 if (paginationList) {
@@ -417,6 +662,9 @@ if (paginationList) {
 }
 
 } catch (err) {
+  // Abortada o superada por una búsqueda más nueva: esa es la que pinta
+  if (err?.name === "AbortError" || isStale()) return;
+
   console.error(err);
   if (grid) {
     grid.innerHTML = `<p class="body-text">${tr(
@@ -425,5 +673,10 @@ if (paginationList) {
     )}</p>`;
   }
   if (paginationList) paginationList.innerHTML = "";
+} finally {
+  if (!isStale()) {
+    grid?.removeAttribute("aria-busy");
+    searchController = null;
+  }
 }
 }
\ No newline at end of file
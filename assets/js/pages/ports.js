@@ -1,6 +1,8 @@
 import { SITE_ROOT } from "../config.js";
 import { getPorts, getPServices, getCompanies, getAreas } from "../dal.js";
-import { safeText, safeAttr, indexById, sortByName, normalize, tr } from "../utils.js";
+import { safeText, safeAttr, indexById, sortByName, normalize, tr, setQueryParams } from "../utils.js";
+import { applyPageSEO } from "../seo.js";
+import { portHref, routeParams } from "../urls.js";
 
 const PORT_SERVICE_ICON_BY_ID = {
   "agua": "droplet",
@@ -21,6 +23,14 @@ const PORT_SERVICE_ICON_BY_ID = {
   "wifi": "wifi"
 };
 
+// La página guarda aquí cómo volver a pintarse desde la URL (?area=, ?id=) sin recargar datos
+let syncFromURL = null;
+
+// Atrás/adelante (router.js): mismo estado que la entrada del historial
+export function syncPortsWithURL() {
+  syncFromURL?.();
+}
+
 function getPortServiceIconById(serviceId = "") {
   return PORT_SERVICE_ICON_BY_ID[String(serviceId).trim()] || "anchor";
 }
@@ -126,9 +136,10 @@ export async function initPortsPage() {
     for (const pid of ids) counts.set(pid, (counts.get(pid) || 0) + 1);
   }
 
+  // /puertos/{id}/; ?id= / ?puerto= solo llegan sin Functions (servidor estático en local)
   const getPortIdFromURL = () => {
     const params = new URLSearchParams(window.location.search);
-    return params.get("id") || params.get("puerto") || "";
+    return routeParams().puerto || params.get("id") || params.get("puerto") || "";
   };
 
   const getAreaIdFromURL = () => {
@@ -195,66 +206,8 @@ if (!p) {
   if (emailRowEl) emailRowEl.style.display = "none";
   if (phoneRowEl) phoneRowEl.style.display = "none";
 
- /* ===== SEO: estado "sin puerto" (i18n) ===== */
-{
-  document.title = tr("meta.ports.title", "Ports | NautiCards");
-
-  const desc = tr(
-    "meta.ports.description",
-    "Explore ports and marinas and discover nautical companies and services on NautiCards."
-  );
-
-  let meta = document.querySelector('meta[name="description"]');
-  if (!meta) {
-    meta = document.createElement("meta");
-    meta.setAttribute("name", "description");
-    document.head.appendChild(meta);
-  }
-  meta.setAttribute("content", desc);
-}
-
-/* ===== OPEN GRAPH / TWITTER - PORTS (sin puerto) ===== */
-{
-  const setPropMeta = (property, content) => {
-    if (!content) return;
-    let el = document.querySelector(`meta[property="${property}"]`);
-    if (!el) {
-      el = document.createElement("meta");
-      el.setAttribute("property", property);
-      document.head.appendChild(el);
-    }
-    el.setAttribute("content", content);
-  };
-
-  const setNameMeta = (name, content) => {
-    if (!content) return;
-    let el = document.querySelector(`meta[name="${name}"]`);
-    if (!el) {
-      el = document.createElement("meta");
-      el.setAttribute("name", name);
-      document.head.appendChild(el);
-    }
-    el.setAttribute("content", content);
-  };
-
-  const ogTitle = document.title;
-  const ogDescription =
-    document.querySelector('meta[name="description"]')?.getAttribute("content") || "";
-
-  const ogUrl = window.location.href;
-  const ogImage = "https://nauticards.es/assets/img/hero.webp";
-
-  setPropMeta("og:title", ogTitle);
-  setPropMeta("og:description", ogDescription);
-  setPropMeta("og:type", "website");
-  setPropMeta("og:url", ogUrl);
-  setPropMeta("og:image", ogImage);
-
-  setNameMeta("twitter:card", "summary_large_image");
-  setNameMeta("twitter:title", ogTitle);
-  setNameMeta("twitter:description", ogDescription);
-  setNameMeta("twitter:image", ogImage);
-}
+  // SEO: title, description, canonical, Open Graph y JSON-LD (seo.js)
+  applyPageSEO({ type: "puertos", entity: null });
 
 
   return;
@@ -268,79 +221,12 @@ if (!p) {
   const id = String(p.id);
   const name = p.name || id;
 
-  /* ===== SEO: puerto seleccionado (i18n) ===== */
-{
-  const seoPortName = (name || "").trim();
-
-  const titleTpl = tr(
-    "meta.ports.detailTitle",
-    "{port} | Port | NautiCards"
-  );
-  document.title = titleTpl.replace("{port}", seoPortName);
-
-  const descTpl = tr(
-    "meta.ports.detailDescription",
-    "{port}: port info and contact. Discover associated nautical companies and services on NautiCards."
-  );
-
-  const desc = descTpl.replace("{port}", seoPortName);
-
-  let meta = document.querySelector('meta[name="description"]');
-  if (!meta) {
-    meta = document.createElement("meta");
-    meta.setAttribute("name", "description");
-    document.head.appendChild(meta);
-  }
-  meta.setAttribute("content", desc);
-}
-
-/* ===== OPEN GRAPH / TWITTER - PORT DETAIL ===== */
-{
-  const setPropMeta = (property, content) => {
-    if (!content) return;
-    let el = document.querySelector(`meta[property="${property}"]`);
-    if (!el) {
-      el = document.createElement("meta");
-      el.setAttribute("property", property);
-      document.head.appendChild(el);
-    }
-    el.setAttribute("content", content);
-  };
-
-  const setNameMeta = (name, content) => {
-    if (!content) return;
-    let el = document.querySelector(`meta[name="${name}"]`);
-    if (!el) {
-      el = document.createElement("meta");
-      el.setAttribute("name", name);
-      document.head.appendChild(el);
-    }
-    el.setAttribute("content", content);
-  };
-
-  const ogTitle = document.title;
-  const ogDescription =
-    document.querySelector('meta[name="description"]')?.getAttribute("content") || "";
-
-  const ogUrl = window.location.href;
-
-  // ports.json tiene image_url (a veces vacío)
-  const ogImage = (p?.image_url || "").trim() || "https://nauticards.es/assets/img/hero.webp";
-
-  setPropMeta("og:title", ogTitle);
-  setPropMeta("og:description", ogDescription);
-  setPropMeta("og:type", "website");
-  setPropMeta("og:url", ogUrl);
-  setPropMeta("og:image", ogImage);
-
-  setNameMeta("twitter:card", "summary_large_image");
-  setNameMeta("twitter:title", ogTitle);
-  setNameMeta("twitter:description", ogDescription);
-  setNameMeta("twitter:image", ogImage);
-}
-
-
-
+  // SEO: title, description, canonical, Open Graph y JSON-LD (seo.js)
+  applyPageSEO({
+    type: "puertos",
+    entity: p,
+    amenities: (p.service_ids || []).map((sid) => servicesById.get(String(sid))?.name).filter(Boolean),
+  });
 
   // Hero
   const imgUrl = p.image_url ? String(p.image_url) : PLACEHOLDER;
@@ -512,10 +398,24 @@ const allPorts = sortPorts((portsList || []).filter((p) => !isCityPseudoPort(p))
     renderPortDetail(currentId ? findPortById(currentId) : null);
   };
 
+  syncFromURL = () => {
+    currentId = getPortIdFromURL();
+    currentAreaId = getAreaIdFromURL();
+
+    if (currentId && !currentAreaId) {
+      const p = findPortById(currentId);
+      if (p?.area_id != null) currentAreaId = String(p.area_id);
+    }
+
+    if (areaEl) areaEl.value = currentAreaId;
+    applyFilterAndRender();
+  };
+
   if (areaEl) {
     areaEl.addEventListener("change", () => {
       currentAreaId = areaEl.value || "";
       currentId = "";
+      setQueryParams({ area: currentAreaId, id: "", puerto: "" }, { path: new URL("puertos/", SITE_ROOT).pathname });
       applyFilterAndRender();
       if (selectEl.options.length > 1) openSelect(selectEl);
     });
@@ -523,6 +423,11 @@ const allPorts = sortPorts((portsList || []).filter((p) => !isCityPseudoPort(p))
 
     selectEl.addEventListener("change", () => {
     currentId = selectEl.value || "";
+    // Con puerto: /puertos/{id}/ (la zona se deduce del puerto); sin él, /puertos/?area=
+    setQueryParams(
+      { id: "", puerto: "", area: currentId ? "" : currentAreaId },
+      { path: new URL(currentId ? portHref(currentId) : new URL("puertos/", SITE_ROOT)).pathname }
+    );
     applyFilterAndRender();
 
     if (currentId && isMobileLayout()) {
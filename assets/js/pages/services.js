@@ -1,5 +1,6 @@
-import { SITE_ROOT } from "../config.js";
-import { getServices, getCompanies } from "../dal.js";
+import { getServices, getCompanies, getSearchVocabulary } from "../dal.js";
+import { serviceHref } from "../urls.js";
+import { applyPageSEO } from "../seo.js";
 import {
   normalize,
   debounce,
@@ -192,13 +193,13 @@ function getServiceIcon(serviceId, familyId = "") {
 }
 
 function sortByLocalizedName(a, b) {
-  const locale = window.__lang === "en" ? "en" : "es";
+  const locale = window.__lang || "es";
   return (a.name || "").localeCompare(b.name || "", locale, {
     sensitivity: "base",
   });
 }
 
-function serviceMatchesQuery(service, query, family) {
+function serviceMatchesQuery(service, query, family, synonyms = []) {
   if (!query) return true;
 
   const haystack = [
@@ -206,6 +207,7 @@ function serviceMatchesQuery(service, query, family) {
     service.id || "",
     family?.fallbackTitle || "",
     tr(family?.titleKey || "", family?.fallbackTitle || ""),
+    ...synonyms,
   ]
     .join(" ")
     .trim();
@@ -224,9 +226,7 @@ function serviceMatchesFilter(service, activeFilter, family) {
 }
 
 function buildSearchUrl(serviceId) {
-  const url = new URL("buscar/", SITE_ROOT);
-  url.searchParams.set("servicio", serviceId);
-  return url.href;
+  return serviceHref(serviceId);
 }
 
 function companyCountLabel(count) {
@@ -356,6 +356,8 @@ export async function initServicesPage() {
 
   if (!familiesEl) return;
 
+  applyPageSEO({ type: "servicios" });
+
   const chips = Array.from(
     quickFiltersEl?.querySelectorAll("[data-filter]") || []
   );
@@ -363,10 +365,14 @@ export async function initServicesPage() {
   let activeFilter = "all";
   let allServices = [];
   let countsMap = new Map();
+  let vocabulary = {};
 
   try {
     const [services, companies] = await Promise.all([getServices(), getCompanies()]);
 
+    // Sinónimos ("motor" -> Mecánica). Si no cargan, se busca solo por nombre.
+    vocabulary = await getSearchVocabulary().catch(() => ({}));
+
     allServices = (services || []).slice().sort(sortByLocalizedName);
 
     countsMap = new Map();
@@ -397,7 +403,7 @@ export async function initServicesPage() {
         const family = getFamilyByServiceId(service.id);
         return (
           serviceMatchesFilter(service, activeFilter, family) &&
-          serviceMatchesQuery(service, query, family)
+          serviceMatchesQuery(service, query, family, vocabulary[service.id])
         );
       });
 
@@ -1,7 +1,11 @@
 import { initHomePage } from "./pages/home.js";
 import { initCompanyPage } from "./pages/company.js";
 import { initServicesPage } from "./pages/services.js";
-import { initPortsPage } from "./pages/ports.js";
+import { initPortsPage, syncPortsWithURL } from "./pages/ports.js";
+import { initFavoritesPage } from "./pages/favorites.js";
+import { initComparePage } from "./pages/compare.js";
+import { applyPageSEO } from "./seo.js";
+import { rememberScroll } from "./utils.js";
 
 const routes = {
   home: initHomePage,
@@ -9,6 +13,10 @@ const routes = {
   company: initCompanyPage,
   servicios: initServicesPage,
   puertos: initPortsPage,
+  favoritos: initFavoritesPage,
+  comparar: initComparePage,
+  // Contacto y legales: sin JS propio, solo SEO
+  static: () => applyPageSEO({ type: "static" }),
 };
 
 export function runRouter() {
@@ -20,3 +28,38 @@ export function runRouter() {
 export function rerenderCurrentPage() {
   return runRouter();
 }
+
+// Páginas que cambian la URL sin recargar (setQueryParams -> pushState)
+// y qué hacer cuando atrás/adelante vuelve a una de sus entradas
+const historyRoutes = {
+  buscar: initHomePage,
+  puertos: syncPortsWithURL,
+};
+
+export function bindHistoryNavigation() {
+  const page = document.body?.dataset?.page || "home";
+  if (!historyRoutes[page]) return;
+
+  // El scroll lo restauramos nosotros cuando ya están pintados los resultados
+  if ("scrollRestoration" in window.history) window.history.scrollRestoration = "manual";
+
+  // Debounce a mano: el popstate tiene que poder cancelar el pendiente, que si no
+  // guardaría el scroll de la página que se deja en la entrada a la que se vuelve
+  let scrollTimer = 0;
+  window.addEventListener("scroll", () => {
+    clearTimeout(scrollTimer);
+    scrollTimer = setTimeout(rememberScroll, 150);
+  }, { passive: true });
+
+  window.addEventListener("popstate", async (e) => {
+    clearTimeout(scrollTimer);
+    try {
+      await historyRoutes[page]();
+    } catch (err) {
+      console.error(err);
+    }
+
+    const y = Number(e.state?.scrollY);
+    requestAnimationFrame(() => window.scrollTo(0, Number.isFinite(y) ? y : 0));
+  });
+}
@@ -1,5 +1,7 @@
 // assets/js/seo.js
-import { SITE_ROOT } from "./config.js";
+import { SITE_ROOT, PAGE_SIZE, LANGS, DEFAULT_LANG, resolveLang } from "./config.js";
+import { splitList, tr } from "./utils.js";
+import { companyHref, portHref, serviceHref, ogImageHref, landingFilters } from "./urls.js";
 
 function ensureMeta(name) {
   let el = document.querySelector(`meta[name="${name}"]`);
@@ -32,205 +34,410 @@ function ensureHreflang(rel, href) {
   el.setAttribute("href", href);
 }
 
-function getLang() {
-  const htmlLang = (document.documentElement.lang || "").toLowerCase();
-  if (htmlLang.startsWith("en")) return "en";
-  if (htmlLang.startsWith("es")) return "es";
-
-  const ls = (localStorage.getItem("lang") || localStorage.getItem("language") || "").toLowerCase();
-  if (ls.startsWith("en")) return "en";
-  return "es";
+function ensureProperty(property) {
+  let el = document.querySelector(`meta[property="${property}"]`);
+  if (!el) {
+    el = document.createElement("meta");
+    el.setAttribute("property", property);
+    document.head.appendChild(el);
+  }
+  return el;
 }
 
-function buildBuscarCanonical(filters) {
-  const lang = getLang();
-  const params = new URLSearchParams();
+// Open Graph + Twitter a partir de lo ya calculado
+function setSocialMeta({ title, description, url, image }) {
+  const og = { "og:title": title, "og:description": description, "og:type": "website", "og:url": url, "og:image": image };
+  const twitter = { "twitter:card": "summary_large_image", "twitter:title": title, "twitter:description": description, "twitter:image": image };
 
-  const servicio = (filters?.servicio || "").toString().trim();
-  const area = (filters?.area || "").toString().trim();
-  const puerto = (filters?.puerto || "").toString().trim();
-  const page = (filters?.page || "").toString().trim();
+  Object.entries(og).forEach(([k, v]) => v && ensureProperty(k).setAttribute("content", v));
+  Object.entries(twitter).forEach(([k, v]) => v && ensureMeta(k).setAttribute("content", v));
+}
 
-  if (lang === "en") params.set("lang", "en");
-  if (servicio) params.set("servicio", servicio);
-  if (area) params.set("area", area);
-  if (puerto) params.set("puerto", puerto);
-  if (page && page !== "1") params.set("page", page);
+/* ===== JSON-LD (schema.org) ===== */
 
-  const base = new URL("buscar/", SITE_ROOT).href;
-  return params.toString() ? `${base}?${params.toString()}` : base;
+// Un <script type="application/ld+json"> por bloque (data-seo="entity" | "list" | "breadcrumbs"); null lo quita
+function setJsonLd(key, data) {
+  let el = document.head.querySelector(`script[type="application/ld+json"][data-seo="${key}"]`);
+  if (!data) {
+    el?.remove();
+    return;
+  }
+  if (!el) {
+    el = document.createElement("script");
+    el.type = "application/ld+json";
+    el.dataset.seo = key;
+    document.head.appendChild(el);
+  }
+  el.textContent = JSON.stringify({ "@context": "https://schema.org", ...data });
 }
 
-function buildEmpresaCanonical({ idParam, slugParam }) {
-  const lang = getLang();
-  const base = new URL("empresa/", SITE_ROOT);
-
-  if (lang === "en") base.searchParams.set("lang", "en");
+function absoluteUrl(raw) {
+  let s = (raw || "").toString().trim();
+  if (s.startsWith("//")) s = `https:${s}`;
+  try {
+    const u = new URL(s);
+    return u.protocol === "http:" || u.protocol === "https:" ? u.href : undefined;
+  } catch {
+    return undefined;
+  }
+}
 
-  if (idParam) base.searchParams.set("id", String(idParam));
-  else if (slugParam) base.searchParams.set("slug", String(slugParam));
+function geoOf(lat, lon) {
+  if (lat == null || lon == null || lat === "" || lon === "") return undefined;
+  const latitude = Number(lat);
+  const longitude = Number(lon);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return undefined;
+  return { "@type": "GeoCoordinates", latitude, longitude };
+}
 
-  return base.href;
+// Inicio > ... > página actual. items: [{ name, url }]
+function setBreadcrumbs(items) {
+  const trail = [{ name: tr("company.breadcrumb.home", "Home"), url: new URL("", SITE_ROOT).href }, ...items].filter((it) => it?.name);
+
+  setJsonLd(
+    "breadcrumbs",
+    trail.length > 1
+      ? {
+          "@type": "BreadcrumbList",
+          itemListElement: trail.map((it, i) => ({ "@type": "ListItem", position: i + 1, name: it.name, item: it.url })),
+        }
+      : null
+  );
 }
 
-function pickName(obj, fallback) {
-  return (obj?.name || fallback || "").toString().trim();
+// LocalBusiness si sabemos dónde está (dirección o coordenadas); si no, Organization
+function companyJsonLd(company, pageUrl) {
+  const port = company.port || null;
+  const geo = geoOf(company.lat, company.lng) || geoOf(port?.lat, port?.lon);
+  const address = company.address || port?.name || company.region?.name
+    ? {
+        "@type": "PostalAddress",
+        streetAddress: company.address || undefined,
+        addressLocality: port?.name,
+        addressRegion: company.region?.name,
+        addressCountry: "ES",
+      }
+    : undefined;
+
+  const ports = [port, ...(company.secondary_ports || [])].filter((p) => p?.id != null);
+  const logo = absoluteUrl(company.logo);
+
+  return {
+    "@type": company.address || geo ? "LocalBusiness" : "Organization",
+    "@id": `${pageUrl}#empresa`,
+    name: company.name,
+    description: company.description || undefined,
+    url: absoluteUrl(company.website) || pageUrl,
+    mainEntityOfPage: pageUrl,
+    logo,
+    image: logo,
+    email: company.email || undefined,
+    telephone: company.phone || undefined,
+    address,
+    geo,
+    areaServed: ports.length
+      ? ports.map((p) => ({ "@type": "Place", name: p.name, url: portHref(p.id), geo: geoOf(p.lat, p.lon) }))
+      : undefined,
+  };
 }
 
-/**
- * SEO para /buscar/
- */
-export function updateBuscarSEO({ filters, lookups, total }) {
-  const lang = getLang();
+// Marina con sus servicios (p_services) como amenityFeature
+function portJsonLd(port, amenities, pageUrl) {
+  return {
+    "@type": "Marina",
+    "@id": `${pageUrl}#puerto`,
+    name: port.name,
+    description: port.description || undefined,
+    url: pageUrl,
+    sameAs: absoluteUrl(port.website),
+    image: absoluteUrl(port.image_url),
+    telephone: port.phone || undefined,
+    email: port.email || undefined,
+    geo: geoOf(port.lat ?? port.latitude, port.lon ?? port.longitude),
+    amenityFeature: amenities.length
+      ? amenities.map((name) => ({ "@type": "LocationFeatureSpecification", name, value: true }))
+      : undefined,
+  };
+}
 
-  const servicioId = (filters?.servicio || "").toString().trim();
-  const areaId = (filters?.area || "").toString().trim();
-  const puertoId = (filters?.puerto || "").toString().trim();
-  const q = (filters?.q || "").toString().trim();
+// Resultados de la página actual de Buscar, numerados desde el inicio de la página
+function resultsJsonLd(items, { name, url, page }) {
+  const offset = (Math.max(1, Number(page) || 1) - 1) * PAGE_SIZE;
+  return {
+    "@type": "ItemList",
+    name,
+    url,
+    itemListElement: items.map((c, i) => ({
+      "@type": "ListItem",
+      position: offset + i + 1,
+      url: companyHref(c),
+      name: c.name,
+    })),
+  };
+}
 
-  const servicioObj = servicioId ? lookups?.services?.get(servicioId) : null;
-  const areaObj = areaId ? lookups?.areas?.get(areaId) : null;
-  const puertoObj = puertoId ? lookups?.ports?.get(puertoId) : null;
-
-  const servicioName = servicioId ? pickName(servicioObj, servicioId) : "";
-  const areaName = areaId ? pickName(areaObj, areaId) : "";
-  const puertoName = puertoId ? pickName(puertoObj, puertoId) : "";
-
-  const lugar = puertoName || areaName;
-
-  let h1, title, description;
-
-  if (lang === "en") {
-    h1 = "Results";
-    title = "Search | NautiCards";
-    description = "Find nautical companies and services. Directory with contact details and location.";
-
-    if (servicioName && lugar) {
-      h1 = `${servicioName} in ${lugar}`;
-      title = `${servicioName} in ${lugar} | NautiCards`;
-      description = `Find ${servicioName} companies in ${lugar}. Nautical services directory with contact details and location.`;
-    } else if (servicioName) {
-      h1 = `${servicioName} companies`;
-      title = `${servicioName} companies | NautiCards`;
-      description = `Find ${servicioName} companies. Nautical services directory with contact details and location.`;
-    } else if (lugar) {
-      h1 = `Nautical companies in ${lugar}`;
-      title = `Nautical companies in ${lugar} | NautiCards`;
-      description = `Find nautical companies in ${lugar}. Directory with contact details and location.`;
-    }
-  } else {
-    h1 = "Resultados";
-    title = "Buscar | NautiCards";
-    description = "Encuentra empresas y servicios náuticos. Directorio con información de contacto y ubicación.";
-
-    if (servicioName && lugar) {
-      h1 = `${servicioName} en ${lugar}`;
-      title = `${servicioName} en ${lugar} | NautiCards`;
-      description = `Encuentra empresas de ${servicioName} en ${lugar}. Directorio de servicios náuticos con información de contacto y ubicación.`;
-    } else if (servicioName) {
-      h1 = `Empresas de ${servicioName}`;
-      title = `Empresas de ${servicioName} | NautiCards`;
-      description = `Encuentra empresas de ${servicioName}. Directorio de servicios náuticos con información de contacto y ubicación.`;
-    } else if (lugar) {
-      h1 = `Empresas náuticas en ${lugar}`;
-      title = `Empresas náuticas en ${lugar} | NautiCards`;
-      description = `Encuentra empresas náuticas en ${lugar}. Directorio con información de contacto y ubicación.`;
-    }
-  }
+function getLang() {
+  return resolveLang(document.documentElement.lang || localStorage.getItem("lang") || localStorage.getItem("language"));
+}
 
-  const hasStrongSEO = Boolean(servicioId && (puertoId || areaId));
-  const robots =
-    (q && q.length >= 1) ||
-    (typeof total === "number" && total === 0) ||
-    !hasStrongSEO
-      ? "noindex,follow"
-      : "index,follow";
+// Plantilla de data/{lang}.json con {variables}
+function fmt(key, fallback, vars = {}) {
+  return tr(key, fallback).replace(/\{(\w+)\}/g, (m, k) => (vars[k] != null ? String(vars[k]) : m));
+}
 
-  document.title = title;
-  ensureMeta("description").setAttribute("content", description);
-  ensureMeta("robots").setAttribute("content", robots);
+// ?lang= delante (misma forma que en el sitemap); es no lleva
+function withLang(href, lang) {
+  if (!lang || lang === DEFAULT_LANG) return href;
+  const u = new URL(href);
+  u.search = new URLSearchParams([["lang", lang], ...[...u.searchParams].filter(([k]) => k !== "lang")]).toString();
+  return u.href.replace(/%2C/gi, ",");
+}
 
-  const canonical = buildBuscarCanonical(filters);
-  ensureCanonical().setAttribute("href", canonical);
+// Un hreflang por idioma + x-default (el de por defecto) de una misma página
+function setAlternates(esHref) {
+  LANGS.forEach((lang) => ensureHreflang(lang, withLang(esHref, lang)));
+  ensureHreflang("x-default", esHref);
+}
 
-  // hreflang
-  const esUrl = new URL("buscar/", SITE_ROOT);
-  const enUrl = new URL("buscar/", SITE_ROOT);
-  enUrl.searchParams.set("lang", "en");
+function pickName(obj, fallback) {
+  return (obj?.name || fallback || "").toString().trim();
+}
 
-  ensureHreflang("es", esUrl.href);
-  ensureHreflang("en", enUrl.href);
-  ensureHreflang("x-default", esUrl.href);
+const DEFAULT_IMAGE = "https://nauticards.es/assets/img/hero.webp";
+
+/* ===== Páginas ===== */
+
+// Páginas sin datos propios: textos de data/{lang}.json, miga con su nombre
+const STATIC_PAGES = {
+  home: { path: "", title: "meta.home.title", description: "meta.home.description" },
+  servicios: { path: "servicios/", title: "meta.services.title", description: "meta.services.description", crumb: "nav.services" },
+  contacto: { path: "contacto/", title: "meta.contact.title", description: "meta.contact.description", crumb: "nav.contact" },
+  // Listas y comparaciones de cada usuario: nada que indexar
+  favoritos: { path: "favoritos/", title: "meta.favorites.title", description: "meta.favorites.description", crumb: "nav.favorites", robots: "noindex,follow" },
+  comparar: { path: "comparar/", title: "meta.compare.title", description: "meta.compare.description", crumb: "compare.title", robots: "noindex,follow" },
+  "aviso-legal": { path: "legal/aviso-legal.html", title: "legal.notice.metaTitle", description: "legal.notice.metaDescription", crumb: "legal.notice.title" },
+  privacidad: { path: "legal/privacidad.html", title: "legal.privacy.metaTitle", description: "legal.privacy.metaDescription", crumb: "legal.privacy.title" },
+  cookies: { path: "legal/cookies.html", title: "legal.cookies.metaTitle", description: "legal.cookies.metaDescription", crumb: "legal.cookies.title" },
+};
+
+// data-page="static" (contacto, legales): la que corresponda a la ruta actual
+function staticPageType() {
+  const path = window.location.pathname.replace(/^\/+/, "").replace(/index\.html$/, "");
+  return Object.keys(STATIC_PAGES).find((k) => STATIC_PAGES[k].path && STATIC_PAGES[k].path === path) || "";
+}
 
-  const h1El = document.querySelector("h1.page-title");
-  if (h1El) h1El.textContent = h1;
+function staticPage(type) {
+  const page = STATIC_PAGES[type];
+  const url = new URL(page.path, SITE_ROOT).href;
+  return {
+    title: tr(page.title, document.title),
+    description: tr(page.description, ""),
+    robots: page.robots || "index,follow",
+    url,
+    breadcrumbs: page.crumb ? [{ name: tr(page.crumb, ""), url }] : [],
+  };
 }
 
-/**
- * SEO para /empresa/
- */
-export function updateEmpresaSEO({ company, seoPortName, idParam, slugParam }) {
-  const lang = getLang();
+// 1 servicio (+ 1 puerto) -> su landing /servicios/{servicio}/{puerto}/; el resto, buscar/?...
+function searchUrl(filters) {
+  const landing = landingFilters(filters);
+  const params = new URLSearchParams();
 
-  if (!company) {
-    document.title = lang === "en" ? "Company | NautiCards" : "Empresa | NautiCards";
+  const servicio = splitList(filters?.servicio).join(",");
+  const region = (filters?.region || "").toString().trim();
+  const area = (filters?.area || "").toString().trim();
+  const puerto = splitList(filters?.puerto).join(",");
+  const page = (filters?.page || "").toString().trim();
+
+  if (!landing) {
+    if (servicio) params.set("servicio", servicio);
+    if (servicio.includes(",") && filters?.match === "all") params.set("match", "all");
+    if (region) params.set("region", region);
+    if (area) params.set("area", area);
+    if (puerto) params.set("puerto", puerto);
+  }
+  if (page && page !== "1") params.set("page", page);
+  // sort/cerca no entran: el orden no cambia qué empresas hay,
+  // así que todas las ordenaciones apuntan a la misma canónica
 
-    ensureMeta("description").setAttribute(
-      "content",
-      lang === "en"
-        ? "Company profile in the nautical directory."
-        : "Ficha de empresa en el directorio náutico."
-    );
+  const base = landing ? serviceHref(landing.servicio, landing.puerto) : new URL("buscar/", SITE_ROOT).href;
+  const qs = params.toString().replace(/%2C/gi, ",");
+  return qs ? `${base}?${qs}` : base;
+}
 
-    ensureMeta("robots").setAttribute("content", "noindex,follow");
+// /buscar/ y las landings /servicios/... (items: empresas de la página actual)
+function buscarPage({ filters = {}, lookups, total, items = [] }) {
+  const servicioIds = splitList(filters?.servicio);
+  const puertoIds = splitList(filters?.puerto);
+  const regionId = (filters?.region || "").toString().trim();
+  const areaId = (filters?.area || "").toString().trim();
+  const q = (filters?.q || "").toString().trim();
 
-    const esUrl = new URL("empresa/", SITE_ROOT);
-    const enUrl = new URL("empresa/", SITE_ROOT);
-    enUrl.searchParams.set("lang", "en");
+  // Varios servicios: "A + B" (todos) o "A / B" (cualquiera). Varios puertos: "P1, P2"
+  const servicioSep = filters?.match === "all" ? " + " : " / ";
+  const service = servicioIds.map((id) => pickName(lookups?.services?.get(id), id)).join(servicioSep);
+  const regionName = regionId ? pickName(lookups?.regions?.get(regionId), regionId) : "";
+  const areaName = areaId ? pickName(lookups?.areas?.get(areaId), areaId) : "";
+  const puertoName = puertoIds.map((id) => pickName(lookups?.ports?.get(id), id)).join(", ");
+
+  // El lugar más concreto manda: puerto > zona > región
+  const place = puertoName || areaName || regionName;
+
+  const variant = service && place ? "serviceInPlace" : service ? "service" : place ? "place" : "";
+  const vars = { service, place };
+  const TEMPLATES = {
+    serviceInPlace: ["{service} en {place}", "Encuentra empresas de {service} en {place}. Directorio de servicios náuticos con información de contacto y ubicación."],
+    service: ["Empresas de {service}", "Encuentra empresas de {service}. Directorio de servicios náuticos con información de contacto y ubicación."],
+    place: ["Empresas náuticas en {place}", "Encuentra empresas náuticas en {place}. Directorio con información de contacto y ubicación."],
+  };
+
+  const h1 = variant ? fmt(`meta.search.${variant}.h1`, TEMPLATES[variant][0], vars) : tr("meta.search.h1", "Resultados");
+  const title = variant
+    ? fmt(`meta.search.${variant}.title`, `${TEMPLATES[variant][0]} | NautiCards`, vars)
+    : tr("meta.search.title", "Buscar | NautiCards");
+  const description = variant
+    ? fmt(`meta.search.${variant}.description`, TEMPLATES[variant][1], vars)
+    : tr("meta.search.description", "Encuentra empresas y servicios náuticos. Directorio con información de contacto y ubicación.");
+
+  // Indexables: /buscar/ a secas, las landings de servicio (+ puerto) y 1 servicio en una zona o región,
+  // siempre que tengan resultados y no haya texto libre
+  const isEmpty = !servicioIds.length && !puertoIds.length && !regionId && !areaId && !q;
+  const isSingle = servicioIds.length === 1 && puertoIds.length <= 1;
+  const hasStrongSEO = Boolean(landingFilters(filters) || (isSingle && (puertoIds.length || areaId || regionId)));
+  const indexable = isEmpty || (hasStrongSEO && !q && !(typeof total === "number" && total === 0));
+
+  const url = searchUrl(filters);
+  const canonical = withLang(url, getLang());
+
+  // Landing: Inicio > Servicios > Servicio > Puerto. Resto: Inicio > Buscar > resultados
+  const landing = landingFilters(filters);
+  const breadcrumbs = landing
+    ? [
+        { name: tr("nav.services", "Servicios"), url: new URL("servicios/", SITE_ROOT).href },
+        { name: pickName(lookups?.services?.get(landing.servicio), landing.servicio), url: serviceHref(landing.servicio) },
+        landing.puerto
+          ? { name: pickName(lookups?.ports?.get(landing.puerto), landing.puerto), url: serviceHref(landing.servicio, landing.puerto) }
+          : null,
+      ]
+    : [
+        { name: tr("company.breadcrumb.search", "Buscar"), url: new URL("buscar/", SITE_ROOT).href },
+        variant ? { name: h1, url: canonical } : null,
+      ];
+
+  return {
+    title,
+    description,
+    robots: indexable ? "index,follow" : "noindex,follow",
+    url,
+    h1,
+    list: items.length ? resultsJsonLd(items, { name: h1, url: canonical, page: filters?.page }) : null,
+    breadcrumbs,
+  };
+}
 
-    ensureCanonical().setAttribute("href", esUrl.href);
+// /empresa/{slug}/ (entity null = no existe)
+function empresaPage({ entity: company }, lang) {
+  if (!company) {
+    return {
+      title: tr("meta.company.title", "Empresa | NautiCards"),
+      description: tr("meta.company.description", "Ficha de empresa en el directorio náutico."),
+      robots: "noindex,follow",
+      url: new URL("empresa/", SITE_ROOT).href,
+    };
+  }
 
-    ensureHreflang("es", esUrl.href);
-    ensureHreflang("en", enUrl.href);
-    ensureHreflang("x-default", esUrl.href);
+  const name = (company.name || company.title || company.slug || "").toString().trim();
+  const port = (company.port?.name || "").toString().trim();
+  const vars = { name, port };
+  const title = port
+    ? fmt("meta.company.detailTitleInPort", "{name} en {port} | NautiCards", vars)
+    : fmt("meta.company.detailTitle", "{name} | NautiCards", vars);
+  const description = port
+    ? fmt("meta.company.detailDescriptionInPort", "Encuentra información de {name} en {port}. Directorio de servicios náuticos con información de contacto y ubicación.", vars)
+    : fmt("meta.company.detailDescription", "Encuentra información de {name}. Directorio de servicios náuticos con información de contacto y ubicación.", vars);
+
+  // Canónica /empresa/{slug}/ aunque se haya entrado por ?id= o por el id
+  const url = companyHref(company);
+
+  return {
+    title,
+    description,
+    robots: "index,follow",
+    url,
+    h1: name,
+    image: ogImageHref("empresa", company.slug || company.id, lang),
+    entity: companyJsonLd(company, url),
+    breadcrumbs: [
+      { name: tr("company.breadcrumb.search", "Buscar"), url: new URL("buscar/", SITE_ROOT).href },
+      { name, url },
+    ],
+  };
+}
 
-    return;
+// /puertos/ y /puertos/{id}/ (entity null = ningún puerto elegido; amenities: sus p_services)
+function puertosPage({ entity: port, amenities = [] }, lang) {
+  const listUrl = new URL("puertos/", SITE_ROOT).href;
+  const portsCrumb = { name: tr("nav.ports", "Puertos"), url: listUrl };
+
+  if (!port) {
+    return {
+      title: tr("meta.ports.title", "Puertos | NautiCards"),
+      description: tr("meta.ports.description", "Explora puertos y marinas y descubre empresas y servicios náuticos en NautiCards."),
+      robots: "index,follow",
+      url: listUrl,
+      breadcrumbs: [portsCrumb],
+    };
   }
 
-  const name = (company?.name || company?.title || "Empresa").toString().trim();
-  const lugar = (seoPortName || "").toString().trim();
-  const placePart = lugar ? (lang === "en" ? ` in ${lugar}` : ` en ${lugar}`) : "";
+  const name = (port.name || String(port.id)).trim();
+  const url = portHref(port.id);
+
+  return {
+    title: fmt("meta.ports.detailTitle", "{port} | Puerto | NautiCards", { port: name }),
+    description: fmt(
+      "meta.ports.detailDescription",
+      "{port}: información del puerto y contacto. Descubre empresas y servicios náuticos asociados en NautiCards.",
+      { port: name }
+    ),
+    robots: "index,follow",
+    url,
+    image: ogImageHref("puerto", port.id, lang),
+    entity: portJsonLd(port, amenities, url),
+    breadcrumbs: [portsCrumb, { name, url }],
+  };
+}
 
-  const title = `${name}${placePart} | NautiCards`;
+const PAGES = { buscar: buscarPage, empresa: empresaPage, puertos: puertosPage };
 
-  const description =
-    lang === "en"
-      ? `Find information about ${name}${placePart}. Nautical services directory with contact details and location.`
-      : `Encuentra información de ${name}${placePart}. Directorio de servicios náuticos con información de contacto y ubicación.`;
+/**
+ * SEO de cualquier página: title, description, robots, canonical, hreflang, Open Graph/Twitter,
+ * JSON-LD y migas, con los textos de data/{lang}.json.
+ *   type: "home" | "buscar" | "empresa" | "puertos" | "servicios" | "contacto" | "favoritos" | "comparar"
+ *         | "static" (la de la ruta actual: contacto o legales)
+ *   buscar: { filters, lookups, total, items }; empresa: { entity }; puertos: { entity, amenities }
+ */
+export function applyPageSEO({ type, ...options } = {}) {
+  const lang = getLang();
+  const key = type === "static" ? staticPageType() : type;
+  const build = PAGES[key] || (STATIC_PAGES[key] ? () => staticPage(key) : null);
+  if (!build) return;
 
-  document.title = title;
-  ensureMeta("description").setAttribute("content", description);
-  ensureMeta("robots").setAttribute("content", "index,follow");
+  const page = build(options, lang);
+  const canonical = withLang(page.url, lang);
 
-  const canonical = buildEmpresaCanonical({ idParam, slugParam });
+  document.title = page.title;
+  ensureMeta("description").setAttribute("content", page.description);
+  ensureMeta("robots").setAttribute("content", page.robots);
   ensureCanonical().setAttribute("href", canonical);
+  setAlternates(page.url);
+  setSocialMeta({ title: page.title, description: page.description, url: canonical, image: page.image || DEFAULT_IMAGE });
 
-  const esUrl = new URL("empresa/", SITE_ROOT);
-  const enUrl = new URL("empresa/", SITE_ROOT);
-  enUrl.searchParams.set("lang", "en");
-
-  if (idParam) {
-    esUrl.searchParams.set("id", idParam);
-    enUrl.searchParams.set("id", idParam);
-  } else if (slugParam) {
-    esUrl.searchParams.set("slug", slugParam);
-    enUrl.searchParams.set("slug", slugParam);
+  if (page.h1 != null) {
+    const h1El = document.querySelector("h1.page-title");
+    if (h1El) h1El.textContent = page.h1;
   }
 
-  ensureHreflang("es", esUrl.href);
-  ensureHreflang("en", enUrl.href);
-  ensureHreflang("x-default", esUrl.href);
-
-  const h1El = document.querySelector("h1.page-title");
-  if (h1El) h1El.textContent = name;
-}
\ No newline at end of file
+  setJsonLd("entity", page.entity || null);
+  setJsonLd("list", page.list || null);
+  setBreadcrumbs(page.breadcrumbs || []);
+}
@@ -0,0 +1,75 @@
+// "Guardar esta búsqueda" en Buscar: alerta por email de empresas nuevas (POST /api/alerts)
+import { saveSearch } from "../dal.js";
+import { hasValidSearch } from "./filters.js";
+import { getQueryParams, tr } from "../utils.js";
+
+const ERROR_KEYS = {
+  invalid_email: ["alerts.error.email", "Revisa el email."],
+  missing_filters: ["alerts.error.filters", "Elige algún filtro antes de guardar la búsqueda."],
+  too_many: ["alerts.error.tooMany", "Has llegado al máximo de alertas para este email."],
+  rate_limited: ["alerts.error.rateLimited", "Demasiadas alertas seguidas. Prueba dentro de un rato."],
+};
+
+function isEmail(s) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(s || "").trim());
+}
+
+// El orden, la distancia y la página no cambian qué empresas coinciden
+function currentSearchFilters() {
+  const { q, servicio, puerto, match, area, region } = getQueryParams();
+  return { q, servicio, puerto, match, area, region };
+}
+
+// Solo tiene sentido con una búsqueda válida (lo llama initHomePage en cada render)
+function syncSaveSearch(filters) {
+  const box = document.getElementById("saveSearch");
+  if (!box) return;
+
+  const visible = hasValidSearch(filters);
+  if (box.hidden === !visible) return;
+
+  box.hidden = !visible;
+  const statusEl = document.getElementById("saveSearchStatus");
+  if (statusEl) statusEl.textContent = "";
+}
+
+function bindSaveSearchForm() {
+  const form = document.getElementById("saveSearchForm");
+  if (!form || form.dataset.bound === "1") return;
+  form.dataset.bound = "1";
+
+  const statusEl = document.getElementById("saveSearchStatus");
+  const setStatus = (text) => {
+    if (statusEl) statusEl.textContent = text;
+  };
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const email = (new FormData(form).get("email") || "").toString().trim();
+    if (!isEmail(email)) {
+      setStatus(tr(...ERROR_KEYS.invalid_email));
+      return;
+    }
+
+    const btn = form.querySelector("button[type='submit']");
+    try {
+      if (btn) btn.disabled = true;
+      setStatus(tr("alerts.saving", "Guardando…"));
+
+      const { created, status } = await saveSearch({ email, filters: currentSearchFilters() });
+
+      if (created) setStatus(tr("alerts.created", "Te hemos enviado un email: confirma la alerta desde el enlace para empezar a recibir avisos."));
+      else if (status === "pending") setStatus(tr("alerts.existsPending", "Ya tenías esta búsqueda pendiente de confirmar: busca el email que te enviamos."));
+      else setStatus(tr("alerts.exists", "Ya tenías guardada esta búsqueda con ese email."));
+      if (created) form.reset();
+    } catch (err) {
+      console.error("save search error:", err);
+      setStatus(tr(...(ERROR_KEYS[err?.code] || ["alerts.error.generic", "No se ha podido guardar. Prueba más tarde."])));
+    } finally {
+      if (btn) btn.disabled = false;
+    }
+  });
+}
+
+export { syncSaveSearch, bindSaveSearchForm };
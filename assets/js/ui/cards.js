@@ -1,16 +1,17 @@
-import { SITE_ROOT } from "../config.js";
-import { safeText, safeAttr, sanitizeUrl, tr } from "../utils.js";
+import { companyHref } from "../urls.js";
+import { safeText, safeAttr, sanitizeUrl, tr, splitList } from "../utils.js";
+import { renderSaveButton } from "./favorites.js";
+import { renderCompareToggle } from "./compare.js";
 
 
 
+// Ficha: /empresa/{slug}/ (sin slug, el id)
 function companyDetailHref(company) {
-  // Keep coherence with your real HTML: /pages/empresa/index.html
-  const base = new URL("empresa/", SITE_ROOT).href;
-  if (company?.id != null) return `${base}?id=${encodeURIComponent(String(company.id))}`;
-  return `${base}?slug=${encodeURIComponent(String(company?.slug || ""))}`;
+  return companyHref(company);
 }
 
-function renderCompanyCard(company, lookups, selectedServiceId = "") {
+// options.compare: casilla "Comparar" (solo en la rejilla de Buscar, ver ui/compare.js)
+function renderCompanyCard(company, lookups, selectedServiceId = "", { compare = false } = {}) {
   const href = companyDetailHref(company);
 
   const isFeatured = Boolean(company?.featured ?? company?.destacada);
@@ -18,13 +19,15 @@ function renderCompanyCard(company, lookups, selectedServiceId = "") {
   // Services:
   // - Render ALL services (for completeness/SEO/future DB)
   // - Keep the visual layout as a single row that fades/cuts to the right
-  // - If a service filter is active and the company has it, force it to appear first.
-  const selected = String(selectedServiceId || "");
+  // - If service filters are active ("a,b") and the company has them, force them to appear first.
+  const selected = splitList(selectedServiceId);
 
   const companyServiceIds = Array.isArray(company.service_ids) ? company.service_ids.map(String) : [];
   const idsToShow = [];
 
-  if (selected && companyServiceIds.includes(selected)) idsToShow.push(selected);
+  for (const id of selected) {
+    if (companyServiceIds.includes(id)) idsToShow.push(id);
+  }
   for (const id of companyServiceIds) {
     if (!idsToShow.includes(id)) idsToShow.push(id);
   }
@@ -52,6 +55,14 @@ function renderCompanyCard(company, lookups, selectedServiceId = "") {
   const secCount = Array.isArray(company.secondary_port_ids) ? company.secondary_port_ids.length : 0;
   const portLabel = secCount > 0 ? `${portName} (+${secCount})` : portName;
 
+  // Solo viene con sort=distance
+  const distance = Number(company.distance_km);
+  const distanceHTML = company.distance_km != null && Number.isFinite(distance)
+    ? `<div><dt>${safeText(tr("company.field.distance", "Distancia"))}</dt><dd>${safeText(
+        tr("company.distanceKm", "{km} km").replace("{km}", distance.toLocaleString(window.__lang || "es", { maximumFractionDigits: 1 }))
+      )}</dd></div>`
+    : "";
+
   const email = (company.email || "").toString().trim();
   const website = sanitizeUrl(company.website);
 
@@ -98,15 +109,31 @@ function renderCompanyCard(company, lookups, selectedServiceId = "") {
       <dl class="company-card__meta">
         <div><dt>${safeText(tr("company.field.port", "Puerto"))}</dt><dd>${safeText(portLabel)}</dd></div>
         <div><dt>${safeText(tr("common.region", "Región"))}</dt><dd>${safeText(regionName)}</dd></div>
+        ${distanceHTML}
       </dl>
 
       <footer class="company-card__footer">
         <a class="button button--secondary" href="${safeAttr(href)}">${safeText(tr("common.viewProfile", "Ver ficha"))}</a>
         ${contactBtn}
+        ${renderSaveButton(company)}
+        ${compare ? renderCompareToggle(company) : ""}
       </footer>
     </div>
   </article>
 `;
 }
 
-export { companyDetailHref, renderCompanyCard };
+// Placeholder mientras llega la página de resultados
+function renderCompanyCardSkeletons(count = 8) {
+  const card = `
+    <article class="company-card company-card--skeleton" aria-hidden="true">
+      <div class="skeleton skeleton--title"></div>
+      <div class="skeleton skeleton--tags"></div>
+      <div class="skeleton skeleton--line"></div>
+      <div class="skeleton skeleton--line skeleton--short"></div>
+    </article>
+  `;
+  return Array.from({ length: count }, () => card).join("");
+}
+
+export { companyDetailHref, renderCompanyCard, renderCompanyCardSkeletons };
@@ -0,0 +1,139 @@
+// Comparador: selección de 2–4 tarjetas en Buscar + bandeja con el enlace a /comparar/?ids=a,b,c
+// La selección vive en sessionStorage para sobrevivir a paginar/cambiar filtros.
+import { SITE_ROOT } from "../config.js";
+import { favoriteKey } from "../favorites.js";
+import { safeText, safeAttr, tr } from "../utils.js";
+
+const STORE_KEY = "nc:comparar";
+const MIN_COMPARE = 2;
+const MAX_COMPARE = 4;
+
+// [{ id, name }]
+function readSelection() {
+  try {
+    const list = JSON.parse(sessionStorage.getItem(STORE_KEY) || "[]");
+    return Array.isArray(list) ? list.filter((x) => x && x.id).slice(0, MAX_COMPARE) : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeSelection(list) {
+  try {
+    sessionStorage.setItem(STORE_KEY, JSON.stringify(list));
+  } catch {
+    // sin sessionStorage: la bandeja se vacía al recargar
+  }
+}
+
+function compareHref(ids) {
+  const u = new URL("comparar/", SITE_ROOT);
+  u.searchParams.set("ids", ids.join(","));
+  return u.href.replace(/%2C/gi, ",");
+}
+
+function renderCompareToggle(company) {
+  const key = favoriteKey(company);
+  if (!key) return "";
+
+  const selection = readSelection();
+  const checked = selection.some((x) => x.id === key);
+  const full = !checked && selection.length >= MAX_COMPARE;
+
+  return `
+    <label class="compare-toggle${full ? " is-disabled" : ""}">
+      <input type="checkbox" data-compare-company="${safeAttr(key)}" data-compare-name="${safeAttr(company.name || key)}"${checked ? " checked" : ""}${full ? " disabled" : ""}>
+      <span>${safeText(tr("compare.toggle", "Comparar"))}</span>
+    </label>
+  `;
+}
+
+// Checks + límite de 4 en las tarjetas pintadas y la bandeja
+function syncCompare(root = document) {
+  const selection = readSelection();
+  const full = selection.length >= MAX_COMPARE;
+
+  root.querySelectorAll("[data-compare-company]").forEach((input) => {
+    const checked = selection.some((x) => x.id === input.dataset.compareCompany);
+    input.checked = checked;
+    input.disabled = full && !checked;
+    input.closest(".compare-toggle")?.classList.toggle("is-disabled", input.disabled);
+  });
+
+  const tray = document.getElementById("compareTray");
+  if (!tray) return;
+
+  tray.hidden = selection.length === 0;
+  if (!selection.length) return;
+
+  const ready = selection.length >= MIN_COMPARE;
+  const hint = ready
+    ? tr("compare.tray.count", "{n} de {max} seleccionadas")
+    : tr("compare.tray.pickMore", "Elige al menos {min} empresas");
+
+  tray.innerHTML = `
+    <div class="compare-tray__inner">
+      <ul class="compare-tray__items">
+        ${selection
+          .map(
+            (x) => `
+          <li class="tag tag--removable">
+            ${safeText(x.name)}
+            <button type="button" class="tag__remove" data-compare-remove="${safeAttr(x.id)}" aria-label="${safeAttr(tr("compare.remove", "Quitar de la comparación"))}">&times;</button>
+          </li>`
+          )
+          .join("")}
+      </ul>
+      <span class="compare-tray__hint small">${safeText(
+        hint.replace("{n}", String(selection.length)).replace("{max}", String(MAX_COMPARE)).replace("{min}", String(MIN_COMPARE))
+      )}</span>
+      <div class="compare-tray__actions">
+        <button type="button" class="button button--ghost button--sm" data-compare-clear>${safeText(tr("compare.clear", "Limpiar"))}</button>
+        ${
+          ready
+            ? `<a class="button button--sm" href="${safeAttr(compareHref(selection.map((x) => x.id)))}">${safeText(tr("compare.open", "Comparar"))}</a>`
+            : `<span class="button button--sm is-disabled" aria-disabled="true">${safeText(tr("compare.open", "Comparar"))}</span>`
+        }
+      </div>
+    </div>
+  `;
+}
+
+// Solo en páginas con bandeja (Buscar); listeners delegados para las tarjetas que se repintan
+function bindCompare() {
+  const tray = document.getElementById("compareTray");
+  if (!tray || tray.dataset.bound === "1") return;
+  tray.dataset.bound = "1";
+
+  document.addEventListener("change", (e) => {
+    const input = e.target.closest?.("[data-compare-company]");
+    if (!input) return;
+
+    const id = input.dataset.compareCompany;
+    let selection = readSelection().filter((x) => x.id !== id);
+    if (input.checked && selection.length < MAX_COMPARE) {
+      selection = [...selection, { id, name: input.dataset.compareName || id }];
+    }
+    writeSelection(selection);
+    syncCompare();
+  });
+
+  tray.addEventListener("click", (e) => {
+    const removeBtn = e.target.closest("[data-compare-remove]");
+    if (removeBtn) {
+      writeSelection(readSelection().filter((x) => x.id !== removeBtn.dataset.compareRemove));
+      syncCompare();
+      return;
+    }
+
+    if (e.target.closest("[data-compare-clear]")) {
+      writeSelection([]);
+      syncCompare();
+    }
+  });
+
+  if (window.__t) syncCompare();
+  else window.addEventListener("i18n:ready", () => syncCompare(), { once: true });
+}
+
+export { MIN_COMPARE, MAX_COMPARE, compareHref, renderCompareToggle, syncCompare, bindCompare };
@@ -0,0 +1,68 @@
+// ui/facets.js
+// Conteos por faceta que devuelve /api/companies: { servicio: {id: n}, puerto: {...}, area: {...} }
+
+import { safeText, safeAttr, tr, splitList } from "../utils.js";
+
+const MAX_PER_GROUP = 8;
+
+const GROUPS = [
+  { key: "servicio", lookup: "services", titleKey: "search.facets.services", fallback: "Servicios" },
+  { key: "area", lookup: "areas", titleKey: "search.facets.areas", fallback: "Zonas" },
+  { key: "puerto", lookup: "ports", titleKey: "search.facets.ports", fallback: "Puertos" },
+];
+
+// Opciones de un <select> con el conteo al lado: "Mecánica (12)"
+function withFacetCounts(options, counts) {
+  if (!counts) return options;
+  return options.map((opt) => ({
+    ...opt,
+    label: `${opt.label} (${counts[opt.value] || 0})`,
+  }));
+}
+
+/**
+ * Panel lateral: las opciones con más resultados de cada faceta.
+ * Los botones llevan data-facet / data-value; las elegidas salen marcadas (aria-pressed).
+ */
+function renderFacetSidebar(container, { facets, lookups, filters }) {
+  if (!container) return;
+
+  const groups = GROUPS.map((g) => {
+    const selected = splitList(filters[g.key]);
+    const entries = Object.entries(facets?.[g.key] || {})
+      .filter(([, n]) => n > 0)
+      .sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0])))
+      .slice(0, MAX_PER_GROUP);
+
+    if (!entries.length) return "";
+
+    const items = entries
+      .map(([id, n]) => {
+        const name = lookups?.[g.lookup]?.get(String(id))?.name || id;
+        const isSelected = selected.includes(String(id));
+        return `
+          <li>
+            <button type="button" class="facets__option${isSelected ? " is-selected" : ""}" data-facet="${safeAttr(g.key)}" data-value="${safeAttr(id)}" aria-pressed="${isSelected}">
+              <span>${safeText(name)}</span>
+              <span class="facets__count">${n}</span>
+            </button>
+          </li>
+        `;
+      })
+      .join("");
+
+    return `
+      <div class="facets__group">
+        <h3 class="facets__title">${safeText(tr(g.titleKey, g.fallback))}</h3>
+        <ul class="facets__list">${items}</ul>
+      </div>
+    `;
+  }).join("");
+
+  container.innerHTML = groups
+    ? `<h2 class="facets__heading">${safeText(tr("search.facets.title", "Afinar resultados"))}</h2>${groups}`
+    : "";
+  container.hidden = !groups;
+}
+
+export { withFacetCounts, renderFacetSidebar };
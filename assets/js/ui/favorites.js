@@ -0,0 +1,66 @@
+// Botón "Guardar" de tarjetas y ficha + contador del menú (ver ../favorites.js)
+import { favoriteKey, getActiveList, listLabel, isSaved, savedCount, toggleSaved, onFavoritesChange } from "../favorites.js";
+import { safeText, safeAttr, tr } from "../utils.js";
+
+function saveButtonState(key) {
+  const saved = isSaved(key);
+  const list = listLabel(getActiveList());
+  return {
+    saved,
+    label: saved ? tr("favorites.saved", "Guardada") : tr("favorites.save", "Guardar"),
+    title: (saved ? tr("favorites.removeFrom", "Quitar de «{list}»") : tr("favorites.saveTo", "Guardar en «{list}»")).replace("{list}", list),
+  };
+}
+
+function renderSaveButton(company, className = "button button--ghost") {
+  const key = favoriteKey(company);
+  if (!key) return "";
+
+  const { saved, label, title } = saveButtonState(key);
+  return `<button type="button" class="${safeAttr(className)} save-btn${saved ? " is-saved" : ""}" data-save-company="${safeAttr(key)}" aria-pressed="${saved}" title="${safeAttr(title)}"><span data-save-label>${safeText(label)}</span></button>`;
+}
+
+// Refresca todos los botones (y el contador) tras guardar/quitar o cambiar de lista
+function syncSaveButtons(root = document) {
+  root.querySelectorAll("[data-save-company]").forEach((btn) => {
+    const key = btn.dataset.saveCompany;
+    if (!key) return;
+
+    const { saved, label, title } = saveButtonState(key);
+    btn.classList.toggle("is-saved", saved);
+    btn.setAttribute("aria-pressed", String(saved));
+    btn.setAttribute("title", title);
+
+    const labelEl = btn.querySelector("[data-save-label]");
+    if (labelEl) labelEl.textContent = label;
+  });
+
+  const count = savedCount();
+  document.querySelectorAll("[data-favorites-count]").forEach((el) => {
+    el.textContent = String(count);
+    el.hidden = count === 0;
+  });
+}
+
+// Un único listener delegado: sirve para tarjetas pintadas después (buscar, puertos, favoritos)
+function bindSaveButtons() {
+  const root = document.body;
+  if (!root || root.dataset.saveBound === "1") return;
+  root.dataset.saveBound = "1";
+
+  root.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-save-company]");
+    if (!btn || !btn.dataset.saveCompany) return;
+
+    e.preventDefault();
+    toggleSaved(btn.dataset.saveCompany);
+  });
+
+  onFavoritesChange(() => syncSaveButtons());
+
+  // Los textos dependen del diccionario
+  if (window.__t) syncSaveButtons();
+  else window.addEventListener("i18n:ready", () => syncSaveButtons(), { once: true });
+}
+
+export { renderSaveButton, syncSaveButtons, bindSaveButtons };
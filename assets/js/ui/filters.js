@@ -1,8 +1,9 @@
-import { safeText, safeAttr, normalize, tr, getQueryParams } from "../utils.js";
+import { safeText, safeAttr, normalize, tr, splitList, getQueryParams } from "../utils.js";
+import { setMultiValues } from "./multiselect.js";
 
 function hasValidSearch(filters) {
   const q = (filters.q || "").trim();
-  return !!(filters.servicio || filters.puerto || q.length >= 3);
+  return !!(filters.servicio || filters.puerto || filters.area || filters.region || q.length >= 3);
 }
 
 function renderSearchState({
@@ -134,15 +135,23 @@ export function renderMissingFiltersMessage({
 
 export function renderNoResultsMessage({
   filters = {},
+  lookups = null,
   gridEl = document.getElementById("companiesGrid"),
   counterEl = document.querySelector(".results__header .small strong"),
   paginationEl = document.getElementById("paginationList"),
 } = {}) {
   const activeChips = [];
 
-  if (filters.area) activeChips.push(`${tr("search.filters.zone", "Zona")}`);
-  if (filters.puerto) activeChips.push(`${tr("search.filters.port", "Ciudad/Puerto")}`);
-  if (filters.servicio) activeChips.push(`${tr("search.filters.service", "Servicio")}`);
+  // "Zona: Costa Brava" si tenemos catálogos; si no, solo la etiqueta del filtro
+  const chip = (label, ids, map) => {
+    const names = splitList(ids).map((id) => map?.get(String(id))?.name).filter(Boolean);
+    return names.length ? `${label}: ${names.join(", ")}` : label;
+  };
+
+  if (filters.region) activeChips.push(chip(tr("common.region", "Región"), filters.region, lookups?.regions));
+  if (filters.area) activeChips.push(chip(tr("search.filters.zone", "Zona"), filters.area, lookups?.areas));
+  if (filters.puerto) activeChips.push(chip(tr("search.filters.port", "Ciudad/Puerto"), filters.puerto, lookups?.ports));
+  if (filters.servicio) activeChips.push(chip(tr("search.filters.service", "Servicio"), filters.servicio, lookups?.services));
   if ((filters.q || "").trim()) activeChips.push(`“${String(filters.q).trim()}”`);
 
   renderSearchState({
@@ -186,26 +195,36 @@ function hydrateFormFromQuery(formEl = document.querySelector("form.filter-bar")
 
   const serviceEl = formEl.querySelector("[name='servicio']");
   const areaEl = formEl.querySelector("[name='area']");
+  const regionEl = formEl.querySelector("[name='region']");
   const portEl = formEl.querySelector("[name='puerto']");
   const qEl = formEl.querySelector("[name='q']");
   const pageEl = formEl.querySelector("[name='page']");
 
-  if (serviceEl) serviceEl.value = filters.servicio;
+  // servicio/puerto: chips si el select es multi (Buscar); si no, el primer valor
+  if (serviceEl) setMultiValues(serviceEl, filters.servicio);
   if (areaEl) areaEl.value = filters.area;
-  if (portEl) portEl.value = filters.puerto;
+  if (regionEl) regionEl.value = filters.region;
+  if (portEl) setMultiValues(portEl, filters.puerto);
+  formEl.querySelectorAll("[name='match']").forEach((el) => {
+    el.checked = el.value === filters.match;
+  });
   if (qEl) qEl.value = filters.q;
   if (pageEl) pageEl.value = filters.page || "1";
 }
 
 function companyMatchesFilters(company, filters, lookups) {
-  const sWanted = filters.servicio ? String(filters.servicio) : "";
-  const pWanted = filters.puerto ? String(filters.puerto) : "";
+  const sWanted = splitList(filters.servicio);
+  const pWanted = splitList(filters.puerto);
   const aWanted = filters.area ? String(filters.area) : "";
+  const rWanted = filters.region ? String(filters.region) : "";
   const qWanted = normalize(filters.q);
 
-  if (sWanted) {
+  if (sWanted.length) {
     const ids = Array.isArray(company.service_ids) ? company.service_ids.map(String) : [];
-    if (!ids.includes(sWanted)) return false;
+    const ok = filters.match === "all"
+      ? sWanted.every((s) => ids.includes(s))
+      : sWanted.some((s) => ids.includes(s));
+    if (!ok) return false;
   }
 
   if (aWanted) {
@@ -221,11 +240,23 @@ function companyMatchesFilters(company, filters, lookups) {
     if (!matchesArea) return false;
   }
 
-  if (pWanted) {
+  if (rWanted) {
+    const portIds = [];
+    if (company.port_id != null) portIds.push(String(company.port_id));
+    if (Array.isArray(company.secondary_port_ids)) portIds.push(...company.secondary_port_ids.map(String));
+
+    const matchesRegion =
+      String(company.region_id ?? "") === rWanted ||
+      portIds.some((pid) => String(lookups?.ports?.get(String(pid))?.region_id ?? "") === rWanted);
+
+    if (!matchesRegion) return false;
+  }
+
+  if (pWanted.length) {
     const portIds = [];
     if (company.port_id != null) portIds.push(String(company.port_id));
     if (Array.isArray(company.secondary_port_ids)) portIds.push(...company.secondary_port_ids.map(String));
-    if (!portIds.includes(pWanted)) return false;
+    if (!pWanted.some((p) => portIds.includes(p))) return false;
   }
 
   if (qWanted) {
@@ -0,0 +1,101 @@
+// ui/multiselect.js
+// <select> como selector "añadir" + chips eliminables debajo.
+// Los valores elegidos viven en el widget (no en selectEl.value, que vuelve siempre a "").
+
+import { safeText, safeAttr, tr, splitList } from "../utils.js";
+
+const widgets = new WeakMap();
+
+function renderChips(selectEl) {
+  const state = widgets.get(selectEl);
+  if (!state) return;
+
+  const removeLabel = tr("search.filters.removeChip", "Quitar");
+
+  state.chipsEl.innerHTML = state.values
+    .map((value) => {
+      const label = state.getLabel?.(value) || value;
+      return `
+        <span class="tag tag--removable">
+          ${safeText(label)}
+          <button type="button" class="tag__remove" data-remove="${safeAttr(value)}" aria-label="${safeAttr(`${removeLabel}: ${label}`)}">×</button>
+        </span>
+      `;
+    })
+    .join("");
+
+  // No ofrecer de nuevo lo que ya está elegido
+  [...selectEl.options].forEach((opt) => {
+    if (opt.value) opt.disabled = state.values.includes(opt.value);
+  });
+}
+
+/**
+ * Convierte un <select> en multi-selección con chips. Una segunda llamada solo actualiza los callbacks.
+ * getLabel(value) -> texto del chip; onChange(values) tras añadir/quitar.
+ */
+export function bindChipMultiSelect(selectEl, { getLabel, onChange } = {}) {
+  if (!selectEl) return;
+
+  if (widgets.has(selectEl)) {
+    const state = widgets.get(selectEl);
+    state.getLabel = getLabel || state.getLabel;
+    state.onChange = onChange || state.onChange;
+    return;
+  }
+
+  const chipsEl = document.createElement("div");
+  chipsEl.className = "chip-list";
+  chipsEl.setAttribute("aria-live", "polite");
+
+  // Fuera del <label> para que clicar un chip no abra el select
+  const anchor = selectEl.closest("label") || selectEl.closest(".relative") || selectEl;
+  anchor.insertAdjacentElement("afterend", chipsEl);
+
+  const state = { values: [], chipsEl, getLabel, onChange };
+  widgets.set(selectEl, state);
+
+  selectEl.addEventListener("change", () => {
+    const value = selectEl.value;
+    if (!value) return;
+
+    selectEl.value = "";
+    if (state.values.includes(value)) return;
+
+    state.values.push(value);
+    renderChips(selectEl);
+    state.onChange?.(state.values.slice());
+  });
+
+  chipsEl.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-remove]");
+    if (!btn) return;
+
+    e.preventDefault();
+    state.values = state.values.filter((v) => v !== btn.dataset.remove);
+    renderChips(selectEl);
+    state.onChange?.(state.values.slice());
+  });
+}
+
+export function isChipMultiSelect(selectEl) {
+  return widgets.has(selectEl);
+}
+
+export function getMultiValues(selectEl) {
+  if (!selectEl) return [];
+  const state = widgets.get(selectEl);
+  return state ? state.values.slice() : splitList(selectEl.value);
+}
+
+export function setMultiValues(selectEl, values) {
+  const state = widgets.get(selectEl);
+  if (!state) {
+    if (selectEl) selectEl.value = splitList(values)[0] || "";
+    return;
+  }
+
+  state.values = splitList(values);
+  selectEl.value = "";
+  renderChips(selectEl);
+}
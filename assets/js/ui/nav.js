@@ -1,5 +1,5 @@
-import { SITE_ROOT } from "../config.js";
 import { getServices } from "../dal.js";
+import { serviceHref } from "../urls.js";
 import { debounce, normalize, safeText, safeAttr, sortByName, tr } from "../utils.js";
 
 
@@ -41,8 +41,6 @@ export function initHeaderServicesDropdown(servicesList) {
   const ul = document.getElementById("servicesMenuList");
   if (!ul) return;
 
-  const buscarBase = new URL("buscar/", SITE_ROOT).href;
-
   const sorted = (servicesList || [])
     .slice()
     .sort(sortByName);
@@ -56,7 +54,7 @@ export function initHeaderServicesDropdown(servicesList) {
     .map((s) => {
       const id = String(s.id);
       const name = s.name || id;
-      const href = `${buscarBase}?servicio=${encodeURIComponent(id)}`;
+      const href = serviceHref(id);
 
       return `
         <li>
@@ -127,8 +125,6 @@ function bindNavDropdownBehavior(root) {
 function renderServicesDropdownPanel(panel, servicesList) {
   if (!panel) return;
 
-  const buscarBase = new URL("buscar/", SITE_ROOT).href;
-
   // ===== Agrupar servicios por letra =====
   const groups = new Map();
   for (const s of servicesList || []) {
@@ -156,7 +152,7 @@ function renderServicesDropdownPanel(panel, servicesList) {
         .map((s) => {
           const id = String(s.id);
           const name = s.name || id;
-          const href = `${buscarBase}?servicio=${encodeURIComponent(id)}`;
+          const href = serviceHref(id);
           return `<a class="svcItem" href="${safeAttr(href)}">${safeText(name)}</a>`;
         })
         .join("");
@@ -0,0 +1,121 @@
+// Service worker (/sw.js): registro, aviso de versión nueva y fichas disponibles sin conexión
+import { companyDetailHref } from "./cards.js";
+import { safeText, safeAttr, tr } from "../utils.js";
+
+// Debe coincidir con COMPANIES_CACHE de sw.js
+const COMPANIES_CACHE = "nc-companies";
+
+// Solo se recarga al tomar el control la versión que el usuario ha pedido con "Actualizar":
+// en la primera visita sw.js también toma el control (clients.claim) y ahí no hay nada que recargar
+let updateRequested = false;
+
+function isLocalhost() {
+  return location.hostname === "localhost" || location.hostname === "127.0.0.1";
+}
+
+function showUpdateToast(worker) {
+  if (document.getElementById("pwaUpdateToast")) return;
+
+  const toast = document.createElement("div");
+  toast.id = "pwaUpdateToast";
+  toast.className = "pwa-toast";
+  toast.setAttribute("role", "status");
+  toast.innerHTML = `
+    <span class="pwa-toast__text">${safeText(tr("pwa.update.message", "Nueva versión disponible"))}</span>
+    <button type="button" class="button button--sm pwa-toast__action">${safeText(tr("pwa.update.action", "Actualizar"))}</button>
+    <button type="button" class="pwa-toast__close" aria-label="${safeAttr(tr("pwa.update.dismiss", "Cerrar"))}">&times;</button>
+  `;
+
+  toast.querySelector(".pwa-toast__action").addEventListener("click", () => {
+    toast.querySelector(".pwa-toast__action").disabled = true;
+    updateRequested = true;
+    worker.postMessage({ type: "SKIP_WAITING" });
+  });
+  toast.querySelector(".pwa-toast__close").addEventListener("click", () => toast.remove());
+
+  document.body.appendChild(toast);
+}
+
+async function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || isLocalhost()) return;
+
+  // Recarga una sola vez cuando la versión nueva toma el control (tras "Actualizar")
+  let reloading = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (reloading || !updateRequested) return;
+    reloading = true;
+    location.reload();
+  });
+
+  try {
+    const reg = await navigator.serviceWorker.register("/sw.js");
+
+    // Versión nueva ya instalada de una visita anterior
+    if (reg.waiting && navigator.serviceWorker.controller) showUpdateToast(reg.waiting);
+
+    reg.addEventListener("updatefound", () => {
+      const worker = reg.installing;
+      if (!worker) return;
+      worker.addEventListener("statechange", () => {
+        // Sin controller = primera instalación: no hay nada que actualizar
+        if (worker.state === "installed" && navigator.serviceWorker.controller) showUpdateToast(worker);
+      });
+    });
+  } catch (err) {
+    console.warn("Service worker no registrado:", err);
+  }
+}
+
+// Entrada de COMPANIES_CACHE: JSON de /api/company o página /empresa/{slug}/ con el JSON en #company-data
+async function readCachedCompany(res) {
+  if (!(res.headers.get("Content-Type") || "").includes("text/html")) return res.json();
+
+  const doc = new DOMParser().parseFromString(await res.text(), "text/html");
+  return JSON.parse(doc.getElementById("company-data")?.textContent || "{}").company;
+}
+
+// Fichas de empresa guardadas por sw.js (las últimas vistas), para /offline.html
+async function getCachedCompanies() {
+  if (!("caches" in window)) return [];
+
+  const cache = await caches.open(COMPANIES_CACHE);
+  const keys = await cache.keys();
+  const lang = window.__lang || "es";
+  const byId = new Map();
+
+  // keys() va de la más antigua a la más reciente
+  for (const req of keys.reverse()) {
+    try {
+      const res = await cache.match(req);
+      const company = await readCachedCompany(res);
+      const key = String(company?.id ?? company?.slug ?? "");
+      if (!key) continue;
+      // Una entrada por empresa, preferiblemente en el idioma actual
+      const reqLang = new URL(req.url).searchParams.get("lang") || "es";
+      if (!byId.has(key) || reqLang === lang) byId.set(key, company);
+    } catch {
+      // entrada corrupta o no JSON: se ignora
+    }
+  }
+
+  return [...byId.values()];
+}
+
+async function renderCachedCompanies(listEl) {
+  if (!listEl) return;
+
+  const companies = await getCachedCompanies().catch(() => []);
+  if (!companies.length) {
+    listEl.innerHTML = `<li class="muted">${safeText(tr("offline.noCompanies", "Todavía no has visto ninguna ficha."))}</li>`;
+    return;
+  }
+
+  listEl.innerHTML = companies
+    .map((c) => {
+      const detail = c.port?.name ? ` <span class="muted">· ${safeText(c.port.name)}</span>` : "";
+      return `<li><a href="${safeAttr(companyDetailHref(c))}">${safeText(c.name || c.slug)}</a>${detail}</li>`;
+    })
+    .join("");
+}
+
+export { registerServiceWorker, getCachedCompanies, renderCachedCompanies };
@@ -0,0 +1,157 @@
+// ui/typeahead.js
+// Desplegable de sugerencias bajo un <input> (patrón combobox de ARIA):
+// flechas para moverse, Enter elige, Escape cierra. Sin selección activa, Enter sigue su curso normal.
+
+import { debounce, safeText, safeAttr } from "../utils.js";
+
+const MIN_CHARS = 2;
+
+let uid = 0;
+
+/**
+ * fetchItems(query, { signal }) -> Promise<items[]>; renderItem(item) -> HTML del <li>; onSelect(item).
+ * Se puede llamar en cada render: solo se engancha una vez por input.
+ */
+export function bindTypeahead(inputEl, { fetchItems, renderItem, onSelect, delay = 200 } = {}) {
+  if (!inputEl || inputEl.dataset.typeahead === "1") return;
+  inputEl.dataset.typeahead = "1";
+
+  const listId = `typeahead-${++uid}`;
+  const listEl = document.createElement("ul");
+  listEl.id = listId;
+  listEl.className = "typeahead";
+  listEl.setAttribute("role", "listbox");
+  listEl.hidden = true;
+
+  const host = inputEl.closest(".relative") || inputEl.parentElement;
+  host.appendChild(listEl);
+
+  inputEl.setAttribute("role", "combobox");
+  inputEl.setAttribute("aria-autocomplete", "list");
+  inputEl.setAttribute("aria-controls", listId);
+  inputEl.setAttribute("aria-expanded", "false");
+  inputEl.setAttribute("autocomplete", "off");
+
+  let items = [];
+  let active = -1;
+  let seq = 0; // descarta respuestas que llegan tarde
+  let controller = null;
+
+  const optionId = (i) => `${listId}-opt-${i}`;
+
+  const close = () => {
+    items = [];
+    active = -1;
+    listEl.hidden = true;
+    listEl.innerHTML = "";
+    inputEl.setAttribute("aria-expanded", "false");
+    inputEl.removeAttribute("aria-activedescendant");
+  };
+
+  const setActive = (i) => {
+    active = i;
+    [...listEl.children].forEach((li, idx) => {
+      li.classList.toggle("is-active", idx === i);
+      li.setAttribute("aria-selected", String(idx === i));
+    });
+
+    if (i >= 0) {
+      inputEl.setAttribute("aria-activedescendant", optionId(i));
+      listEl.children[i]?.scrollIntoView?.({ block: "nearest" });
+    } else {
+      inputEl.removeAttribute("aria-activedescendant");
+    }
+  };
+
+  const open = (next) => {
+    items = next;
+    active = -1;
+
+    if (!items.length) {
+      close();
+      return;
+    }
+
+    listEl.innerHTML = items
+      .map((item, i) => `
+        <li id="${safeAttr(optionId(i))}" role="option" aria-selected="false" class="typeahead__option" data-index="${i}">
+          ${renderItem ? renderItem(item) : safeText(item.name)}
+        </li>
+      `)
+      .join("");
+    listEl.hidden = false;
+    inputEl.setAttribute("aria-expanded", "true");
+  };
+
+  const choose = (i) => {
+    const item = items[i];
+    if (!item) return;
+    close();
+    onSelect?.(item);
+  };
+
+  const refresh = debounce(async () => {
+    const query = inputEl.value.trim();
+    const mySeq = ++seq;
+
+    controller?.abort();
+    controller = null;
+
+    if (query.length < MIN_CHARS) {
+      close();
+      return;
+    }
+
+    controller = new AbortController();
+
+    try {
+      const next = await fetchItems(query, { signal: controller.signal });
+      if (mySeq !== seq) return;
+      open(Array.isArray(next) ? next : []);
+    } catch (err) {
+      if (err?.name === "AbortError") return;
+      if (mySeq === seq) close();
+      console.error(err);
+    }
+  }, delay);
+
+  inputEl.addEventListener("input", refresh);
+
+  inputEl.addEventListener("keydown", (e) => {
+    if (listEl.hidden) {
+      if (e.key === "ArrowDown" && inputEl.value.trim().length >= MIN_CHARS) refresh();
+      return;
+    }
+
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActive(active < items.length - 1 ? active + 1 : 0);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive(active > 0 ? active - 1 : items.length - 1);
+    } else if (e.key === "Enter" && active >= 0) {
+      // preventDefault: el Enter de la barra (submit) lo comprueba y no busca
+      e.preventDefault();
+      choose(active);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      seq++;
+      close();
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      seq++;
+      close();
+    }
+  });
+
+  // mousedown: que el input no pierda el foco antes del click
+  listEl.addEventListener("mousedown", (e) => e.preventDefault());
+  listEl.addEventListener("click", (e) => {
+    const li = e.target.closest("[data-index]");
+    if (li) choose(Number(li.dataset.index));
+  });
+
+  inputEl.addEventListener("blur", () => {
+    seq++;
+    close();
+  });
+}
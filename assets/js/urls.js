@@ -0,0 +1,76 @@
+// URLs limpias del sitio (las sirven functions/empresa, puertos y servicios, ver functions/_lib/routes.js):
+//   /empresa/{slug}/   /puertos/{id}/   /servicios/{servicio}/   /servicios/{servicio}/{puerto}/
+// Las URLs con query de siempre (empresa/?id=, buscar/?servicio=&puerto=) redirigen 301 a estas.
+import { SITE_ROOT, DEFAULT_LANG } from "./config.js";
+
+const seg = (value) => encodeURIComponent(String(value));
+
+function listOf(value) {
+  return String(value || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+function companyHref(company) {
+  const key = company?.slug || company?.id;
+  return new URL(key != null && key !== "" ? `empresa/${seg(key)}/` : "empresa/", SITE_ROOT).href;
+}
+
+function portHref(portId) {
+  return new URL(`puertos/${seg(portId)}/`, SITE_ROOT).href;
+}
+
+function serviceHref(serviceId, portId = "") {
+  const path = portId ? `servicios/${seg(serviceId)}/${seg(portId)}/` : `servicios/${seg(serviceId)}/`;
+  return new URL(path, SITE_ROOT).href;
+}
+
+// Tarjeta para compartir (og:image) que genera functions/og/: type "empresa" | "puerto"
+function ogImageHref(type, id, lang = DEFAULT_LANG) {
+  const u = new URL(`og/${seg(type)}/${seg(id)}.png`, SITE_ROOT);
+  if (lang !== DEFAULT_LANG) u.searchParams.set("lang", lang);
+  return u.href;
+}
+
+// Lo que va en la ruta según dónde estemos: { slug } | { puerto } | { servicio, puerto }
+function routeParams(pathname = window.location.pathname) {
+  const parts = pathname.split("/").filter(Boolean).map((p) => decodeURIComponent(p));
+  if (parts[parts.length - 1] === "index.html") return {};
+
+  const [section, a, b] = parts;
+  if (section === "empresa" && parts.length === 2) return { slug: a };
+  if (section === "puertos" && parts.length === 2) return { puerto: a };
+  if (section === "servicios" && (parts.length === 2 || parts.length === 3)) return { servicio: a, puerto: b || "" };
+  return {};
+}
+
+function isServiceLanding(pathname = window.location.pathname) {
+  return Boolean(routeParams(pathname).servicio);
+}
+
+// Búsquedas que tienen página propia: un servicio y, como mucho, un puerto (sin texto, zona ni región)
+function landingFilters(filters) {
+  const servicio = listOf(filters?.servicio);
+  const puerto = listOf(filters?.puerto);
+  const q = String(filters?.q || "").trim();
+
+  if (servicio.length !== 1 || puerto.length > 1 || q || filters?.area || filters?.region) return null;
+  return { servicio: servicio[0], puerto: puerto[0] || "" };
+}
+
+// Enlace a unos filtros de Buscar: la landing si existe, si no buscar/?...
+// (orden, cercanía y página siguen en la query)
+function searchHref(filters) {
+  const landing = landingFilters(filters);
+  const params = new URLSearchParams();
+
+  Object.entries(filters || {}).forEach(([k, v]) => {
+    if (v == null || v === "" || (k === "page" && String(v) === "1") || (k === "match" && v === "any")) return;
+    if (landing && ["servicio", "puerto", "match", "q", "area", "region"].includes(k)) return;
+    params.set(k, String(v));
+  });
+
+  const base = landing ? serviceHref(landing.servicio, landing.puerto) : new URL("buscar/", SITE_ROOT).href;
+  const qs = params.toString().replace(/%2C/gi, ",");
+  return qs ? `${base}?${qs}` : base;
+}
+
+export { companyHref, portHref, serviceHref, ogImageHref, routeParams, isServiceLanding, landingFilters, searchHref };
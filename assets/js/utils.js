@@ -1,3 +1,6 @@
+import { SITE_ROOT, resolveLang, langChain } from "./config.js";
+import { routeParams, isServiceLanding } from "./urls.js";
+
 function normalize(str) {
   return (str || "")
     .toString()
@@ -69,47 +72,94 @@ function tr(key, fallback = "") {
 function trDb(json, fallback = "") {
   if (!json) return fallback;
 
-  const lang = window.__lang || "es";
-
   // por si algún sitio aún devuelve string plano
   if (typeof json === "string") return json;
 
-  return json[lang] ?? json.es ?? fallback;
+  // { es, en, ca }: el idioma actual o el siguiente de su cadena (ca -> es)
+  for (const lang of langChain(window.__lang)) {
+    if (json[lang] != null) return json[lang];
+  }
+  return fallback;
 }
-window.__lang = (new URLSearchParams(location.search).get("lang") || localStorage.getItem("lang") || "es").toLowerCase() === "en" ? "en" : "es";
+window.__lang = resolveLang(new URLSearchParams(location.search).get("lang") || localStorage.getItem("lang"));
 
 function sortByName(a, b) {
-  const locale = window.__lang === "en" ? "en" : "es";
+  const locale = resolveLang(window.__lang);
   return (a.name || "").localeCompare(b.name || "", locale, {
     sensitivity: "base",
   });
 }
 
-function getQueryParams() {
+// "a,b" | ["a", "b,c"] -> ["a", "b", "c"] (sin vacíos ni duplicados)
+function splitList(value) {
+  const raw = Array.isArray(value) ? value : [value];
+  const out = [];
+  raw.forEach((v) => {
+    String(v ?? "")
+      .split(",")
+      .map((s) => s.trim())
+      .forEach((s) => {
+        if (s && !out.includes(s)) out.push(s);
+      });
+  });
+  return out;
+}
+
+// servicio/puerto admiten varios valores (?servicio=a,b o ?servicio=a&servicio=b);
+// aquí siempre salen como lista separada por comas.
+// En /servicios/{servicio}/{puerto}/ los filtros de la ruta cuentan como si fueran query
+function currentParams() {
   const params = new URLSearchParams(window.location.search);
+  const route = routeParams();
+  if (route.servicio && !params.has("servicio")) params.set("servicio", route.servicio);
+  if (route.puerto && !params.has("puerto")) params.set("puerto", route.puerto);
+  return params;
+}
+
+function getQueryParams() {
+  const params = currentParams();
   return {
     area: params.get("area") || "",
-    servicio: params.get("servicio") || "",
-    puerto: params.get("puerto") || "",
+    region: params.get("region") || "",
+    servicio: splitList(params.getAll("servicio")).join(","),
+    puerto: splitList(params.getAll("puerto")).join(","),
+    match: params.get("match") === "all" ? "all" : "any",
     q: params.get("q") || "",
+    sort: params.get("sort") || "",
+    cerca: params.get("cerca") || "",
     page: params.get("page") || "1",
   };
 }
 
+// Guarda el scroll en la entrada actual del historial (atrás/adelante lo restauran, ver router.js)
+function rememberScroll() {
+  window.history.replaceState({ ...(window.history.state || {}), scrollY: window.scrollY }, "");
+}
+
+// options.path: otra ruta del mismo documento (p. ej. /puertos/{id}/).
+// Desde una landing de servicio, cualquier cambio de filtros sigue en /buscar/?...
 function setQueryParams(next, options = {}) {
-  const params = new URLSearchParams(window.location.search);
+  const landing = isServiceLanding();
+  const params = landing ? currentParams() : new URLSearchParams(window.location.search);
   Object.entries(next || {}).forEach(([k, v]) => {
+    if (Array.isArray(v)) v = v.join(",");
     if (v == null || v === "" || v === false) params.delete(k);
     else params.set(k, String(v));
   });
-  const qs = params.toString();
-  const url = qs ? `${window.location.pathname}?${qs}` : window.location.pathname;
-  if (options.replace) window.history.replaceState({}, "", url);
-  else window.history.pushState({}, "", url);
+  // Las listas (servicio=a,b) se dejan legibles en la URL
+  const qs = params.toString().replace(/%2C/gi, ",");
+  const path = options.path || (landing ? new URL("buscar/", SITE_ROOT).pathname : window.location.pathname);
+  const url = qs ? `${path}?${qs}` : path;
+  if (options.replace) {
+    window.history.replaceState({ ...(window.history.state || {}) }, "", url);
+  } else {
+    rememberScroll();
+    window.history.pushState({ scrollY: 0 }, "", url);
+  }
 }
 
 export {
   normalize, debounce, escapeHTML, safeText, safeAttr,
   sanitizeUrl, indexById, tr, trDb,
-  sortByName, getQueryParams, setQueryParams
+  sortByName, splitList, getQueryParams, setQueryParams, rememberScroll
 };
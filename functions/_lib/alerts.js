@@ -0,0 +1,532 @@
+// functions/_lib/alerts.js
+// Búsquedas guardadas con aviso por email ("avísame cuando aparezca una empresa nueva").
+//
+// Tabla Supabase saved_searches:
+//   id uuid pk default gen_random_uuid(), email text, lang text,
+//   filters jsonb        -> forma de getQueryParams (assets/js/utils.js) sin sort/cerca/page
+//   token text unique    -> enlaces de confirmación y de baja
+//   status text          -> 'pending' hasta que se pulsa el enlace del email de confirmación, luego 'active'
+//                           (filas anteriores a la confirmación: update saved_searches set status = 'active')
+//   seen_ids jsonb       -> empresas que ya coincidían al guardar o ya se han avisado
+//   ip_hash text         -> SHA-256 de la IP que la pidió (límite por IP; la IP no se guarda)
+//   created_at timestamptz default now(), confirmed_at timestamptz, last_notified_at timestamptz,
+//   unsubscribed_at timestamptz
+// Doble opt-in: solo se envían alertas a búsquedas 'active'; así nadie puede apuntar el email de otro.
+// Cada alta manda un email: por eso hay límite por email (pendientes) y por IP (altas por hora).
+// Sin Supabase configurado se guardan en memoria (solo desarrollo: se pierden al reiniciar).
+// Con Supabase pero sin SUPABASE_SERVICE_ROLE_KEY no se puede guardar: error, nunca memoria.
+
+import { canWrite, sbGet, sbInsert, sbUpdate, sbDelete, loadTable } from "./supabase.js";
+import { loadCatalogs } from "./catalogs.js";
+import { loadVocabulary } from "./synonyms.js";
+import { rankCompanies } from "./rank.js";
+import { companyPath, servicePath } from "./routes.js";
+import { localizeRow, filterCompanies } from "./search.js";
+import { resolveLang, DEFAULT_LANG } from "./i18n.js";
+import { html } from "./http.js";
+
+const TABLE = "saved_searches";
+const MAX_PER_EMAIL = 20;
+// Sin confirmar: cada una es un email a una dirección que quizá no es de quien la pide
+const MAX_PENDING_PER_EMAIL = 3;
+// Sin él, un mismo cliente podría hacer que el endpoint escriba a cualquier número de direcciones
+const MAX_NEW_PER_IP_PER_HOUR = 10;
+const MAX_COMPANIES_PER_EMAIL = 10;
+
+const devStore = new Map();
+
+function splitIds(value) {
+  const raw = Array.isArray(value) ? value : [value];
+  const out = [];
+  for (const v of raw) {
+    for (const s of String(v ?? "").split(",")) {
+      const id = s.trim();
+      if (id && !out.includes(id)) out.push(id);
+    }
+  }
+  return out;
+}
+
+export function isEmail(value) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value || "").trim());
+}
+
+// Misma forma que getQueryParams (listas como "a,b"); el orden y la página no cambian qué coincide
+export function normalizeSavedFilters(raw = {}) {
+  return {
+    area: String(raw.area || "").trim(),
+    region: String(raw.region || "").trim(),
+    servicio: splitIds(raw.servicio).sort().join(","),
+    puerto: splitIds(raw.puerto).sort().join(","),
+    match: raw.match === "all" ? "all" : "any",
+    q: String(raw.q || "").trim().slice(0, 120),
+  };
+}
+
+// filterCompanies trabaja con listas
+function toSearchFilters(filters) {
+  return { ...filters, servicio: splitIds(filters.servicio), puerto: splitIds(filters.puerto) };
+}
+
+function sameFilters(a, b) {
+  return JSON.stringify(normalizeSavedFilters(a)) === JSON.stringify(normalizeSavedFilters(b));
+}
+
+function newToken() {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return [...bytes].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// ===== Almacén (Supabase o memoria) =====
+
+// La memoria solo sirve sin nada de Supabase: con la anon key sola, las búsquedas vivirían
+// en un isolate suelto y el cron no las vería nunca
+function useDevStore(env) {
+  if (canWrite(env)) return false;
+  if (env?.SUPABASE_URL || env?.SUPABASE_SERVICE_ROLE_KEY || env?.SUPABASE_ANON_KEY) {
+    throw new Error("saved_searches necesita SUPABASE_URL y SUPABASE_SERVICE_ROLE_KEY");
+  }
+  return true;
+}
+
+// since: ISO; solo las creadas desde entonces
+async function listSearches(context, { email = "", status = "", ipHash = "", since = "" } = {}) {
+  if (!useDevStore(context.env)) {
+    let q = `${TABLE}?select=*&unsubscribed_at=is.null`;
+    if (email) q += `&email=eq.${encodeURIComponent(email)}`;
+    if (status) q += `&status=eq.${encodeURIComponent(status)}`;
+    if (ipHash) q += `&ip_hash=eq.${encodeURIComponent(ipHash)}`;
+    if (since) q += `&created_at=gte.${encodeURIComponent(since)}`;
+    const rows = await sbGet(context.env, q);
+    return Array.isArray(rows) ? rows : [];
+  }
+
+  return [...devStore.values()].filter(
+    (s) =>
+      !s.unsubscribed_at &&
+      (!email || s.email === email) &&
+      (!status || s.status === status) &&
+      (!ipHash || s.ip_hash === ipHash) &&
+      (!since || s.created_at >= since)
+  );
+}
+
+async function insertSearch(context, row) {
+  if (!useDevStore(context.env)) return sbInsert(context.env, TABLE, row);
+
+  const search = { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...row };
+  devStore.set(search.id, search);
+  return search;
+}
+
+async function patchSearch(context, match, patch) {
+  if (!useDevStore(context.env)) return sbUpdate(context.env, TABLE, match, patch);
+
+  const [[field, value]] = Object.entries(match);
+  const rows = [...devStore.values()].filter((s) => String(s[field]) === String(value));
+  rows.forEach((s) => Object.assign(s, patch));
+  return rows;
+}
+
+async function deleteSearch(context, id) {
+  if (!useDevStore(context.env)) return sbDelete(context.env, TABLE, { id });
+  devStore.delete(id);
+}
+
+// IP del cliente (Cloudflare) como hash: "" si no hay (local), y entonces no hay límite por IP
+async function ipHashOf(request) {
+  const ip = request?.headers?.get("CF-Connecting-IP") || "";
+  if (!ip) return "";
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(ip));
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// ===== Coincidencias =====
+
+export async function loadAlertData(context, lang) {
+  const [companies, catalogs] = await Promise.all([
+    loadTable(context, "companies"),
+    loadCatalogs(context, lang),
+  ]);
+  const vocabulary = await loadVocabulary(context, lang, catalogs.servicesById);
+
+  return { companies: companies.map((c) => localizeRow(c, lang)), catalogs, vocabulary };
+}
+
+// Igual que /api/companies: q por relevancia (con sinónimos) y luego los filtros
+export function matchSavedSearch(filters, { companies, catalogs, vocabulary }, lang) {
+  const f = toSearchFilters(filters);
+  const base = f.q
+    ? rankCompanies(companies, f.q, { ...catalogs, synonymsByService: vocabulary?.termsByService }, lang)
+    : companies;
+  return filterCompanies(base, f, catalogs);
+}
+
+// ===== Alta / baja =====
+
+/**
+ * Guarda la búsqueda para ese email como 'pending' y manda el email de confirmación.
+ * Si ya existe la misma, la devuelve (created: false) sin volver a escribir a nadie.
+ * seen_ids parte de las coincidencias actuales: solo se avisará de las que aparezcan después.
+ * Primero se guarda y luego se envía (el enlace siempre apunta a una fila); si el envío falla,
+ * la fila se borra y se puede reintentar.
+ * -> { search, created } | { error: "too_many" | "rate_limited" }
+ */
+export async function createSavedSearch(context, { email, filters, lang = "es" }, { transport, siteUrl }) {
+  const cleanEmail = String(email).trim().toLowerCase();
+  const cleanFilters = normalizeSavedFilters(filters);
+
+  const existing = await listSearches(context, { email: cleanEmail });
+  const duplicate = existing.find((s) => sameFilters(s.filters || {}, cleanFilters));
+  if (duplicate) return { search: duplicate, created: false };
+  if (existing.length >= MAX_PER_EMAIL) return { error: "too_many" };
+  if (existing.filter((s) => s.status === "pending").length >= MAX_PENDING_PER_EMAIL) return { error: "too_many" };
+
+  const ipHash = await ipHashOf(context.request);
+  if (ipHash) {
+    const since = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    const recent = await listSearches(context, { ipHash, since });
+    if (recent.length >= MAX_NEW_PER_IP_PER_HOUR) return { error: "rate_limited" };
+  }
+
+  const data = await loadAlertData(context, lang);
+  const seen = matchSavedSearch(cleanFilters, data, lang).map((c) => String(c.id));
+
+  const row = {
+    email: cleanEmail,
+    lang,
+    filters: cleanFilters,
+    token: newToken(),
+    status: "pending",
+    seen_ids: seen,
+    ip_hash: ipHash || null,
+    confirmed_at: null,
+    last_notified_at: null,
+    unsubscribed_at: null,
+  };
+
+  const search = await insertSearch(context, row);
+  try {
+    await transport.send(buildConfirmEmail({ search: { ...row, ...search }, catalogs: data.catalogs, siteUrl }));
+  } catch (err) {
+    await deleteSearch(context, search.id).catch((e) => console.error("saved search cleanup failed:", e));
+    throw err;
+  }
+  return { search, created: true };
+}
+
+// -> la búsqueda ya activa, o null si el token no existe
+export async function confirmSavedSearch(context, token) {
+  if (!token) return null;
+  const rows = await patchSearch(context, { token }, { status: "active", confirmed_at: new Date().toISOString() });
+  return Array.isArray(rows) && rows.length ? rows[0] : null;
+}
+
+// -> la búsqueda dada de baja, o null si el token no existe
+export async function unsubscribeSavedSearch(context, token) {
+  if (!token) return null;
+  const rows = await patchSearch(context, { token }, { unsubscribed_at: new Date().toISOString() });
+  return Array.isArray(rows) && rows.length ? rows[0] : null;
+}
+
+// ===== Emails =====
+
+const EMAIL_COPY = {
+  es: {
+    subjectOne: "Nueva empresa para tu búsqueda: {search}",
+    subjectMany: "{n} empresas nuevas para tu búsqueda: {search}",
+    intro: "Hay empresas nuevas en NautiCards que encajan con tu búsqueda guardada «{search}»:",
+    more: "…y {n} más.",
+    viewAll: "Ver todos los resultados",
+    why: "Recibes este correo porque guardaste esta búsqueda en NautiCards.",
+    unsubscribe: "Darse de baja de esta alerta",
+    anySearch: "tu búsqueda",
+    confirmSubject: "Confirma tu alerta: {search}",
+    confirmIntro: "Has pedido que te avisemos por email cuando aparezcan empresas nuevas en NautiCards para «{search}».",
+    confirmAction: "Confirmar la alerta",
+    confirmIgnore: "Si no has sido tú, ignora este correo: sin confirmar no te enviaremos nada más.",
+    confirmNotMe: "¿No has sido tú? Borrar esta alerta",
+  },
+  en: {
+    subjectOne: "New company for your search: {search}",
+    subjectMany: "{n} new companies for your search: {search}",
+    intro: "There are new companies on NautiCards matching your saved search “{search}”:",
+    more: "…and {n} more.",
+    viewAll: "See all results",
+    why: "You are receiving this email because you saved this search on NautiCards.",
+    unsubscribe: "Unsubscribe from this alert",
+    anySearch: "your search",
+    confirmSubject: "Confirm your alert: {search}",
+    confirmIntro: "You asked us to email you when new companies matching “{search}” appear on NautiCards.",
+    confirmAction: "Confirm the alert",
+    confirmIgnore: "If this wasn't you, just ignore this email: without confirmation we won't send anything else.",
+    confirmNotMe: "Wasn't you? Remove this alert",
+  },
+  ca: {
+    subjectOne: "Nova empresa per a la teva cerca: {search}",
+    subjectMany: "{n} empreses noves per a la teva cerca: {search}",
+    intro: "Hi ha empreses noves a NautiCards que encaixen amb la teva cerca desada «{search}»:",
+    more: "…i {n} més.",
+    viewAll: "Veure tots els resultats",
+    why: "Reps aquest correu perquè vas desar aquesta cerca a NautiCards.",
+    unsubscribe: "Donar-se de baixa d'aquesta alerta",
+    anySearch: "la teva cerca",
+    confirmSubject: "Confirma la teva alerta: {search}",
+    confirmIntro: "Has demanat que t'avisem per correu quan apareguin empreses noves a NautiCards per a «{search}».",
+    confirmAction: "Confirmar l'alerta",
+    confirmIgnore: "Si no has estat tu, ignora aquest correu: sense confirmar no t'enviarem res més.",
+    confirmNotMe: "No has estat tu? Esborrar aquesta alerta",
+  },
+};
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// "motor" · Mecánica, Electrónica · Port Vell · Costa Brava
+export function describeSavedFilters(filters, catalogs) {
+  const names = (ids, byId) => splitIds(ids).map((id) => byId?.get(id)?.name || id);
+  const parts = [
+    filters.q ? `"${filters.q}"` : "",
+    names(filters.servicio, catalogs.servicesById).join(", "),
+    names(filters.puerto, catalogs.portsById).join(", "),
+    filters.area ? catalogs.areasById?.get(filters.area)?.name || filters.area : "",
+    filters.region ? catalogs.regionsById?.get(filters.region)?.name || filters.region : "",
+  ];
+  return parts.filter(Boolean).join(" · ");
+}
+
+// Un servicio (+ un puerto) sin más filtros tiene landing propia: /servicios/{servicio}/{puerto}/
+export function savedSearchUrl(siteUrl, filters, lang) {
+  const f = normalizeSavedFilters(filters);
+  const servicio = splitIds(f.servicio);
+  const puerto = splitIds(f.puerto);
+  const landing = servicio.length === 1 && puerto.length <= 1 && !f.q && !f.area && !f.region;
+
+  const u = new URL(landing ? servicePath(servicio[0], puerto[0] || "") : "/buscar/", siteUrl);
+  if (!landing) {
+    for (const [k, v] of Object.entries(f)) {
+      if (v && !(k === "match" && v === "any")) u.searchParams.set(k, v);
+    }
+  }
+  if (lang !== DEFAULT_LANG) u.searchParams.set("lang", lang);
+  return u.href.replace(/%2C/gi, ",");
+}
+
+export function unsubscribeUrl(siteUrl, token, lang = DEFAULT_LANG) {
+  const u = new URL("/api/alerts/unsubscribe", siteUrl);
+  u.searchParams.set("token", token);
+  if (lang !== DEFAULT_LANG) u.searchParams.set("lang", lang);
+  return u.href;
+}
+
+export function confirmUrl(siteUrl, token, lang) {
+  const u = new URL("/api/alerts/confirm", siteUrl);
+  u.searchParams.set("token", token);
+  if (lang !== DEFAULT_LANG) u.searchParams.set("lang", lang);
+  return u.href;
+}
+
+function companyUrl(siteUrl, company, lang) {
+  const u = new URL(companyPath(company), siteUrl);
+  if (lang !== DEFAULT_LANG) u.searchParams.set("lang", lang);
+  return u.href;
+}
+
+// Cabeceras de baja en un clic (RFC 8058): las llevan todos los emails de alertas
+function unsubscribeHeaders(href) {
+  return {
+    "List-Unsubscribe": `<${href}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  };
+}
+
+// Email del doble opt-in: un enlace a /api/alerts/confirm (que pide pulsar un botón, ver confirm.js)
+// y, como todos, el de baja: "no he sido yo" borra la pendiente
+export function buildConfirmEmail({ search, catalogs, siteUrl }) {
+  const lang = resolveLang(search.lang);
+  const copy = EMAIL_COPY[lang];
+  const label = describeSavedFilters(search.filters || {}, catalogs) || copy.anySearch;
+  const confirmHref = confirmUrl(siteUrl, search.token, lang);
+  const unsubscribeHref = unsubscribeUrl(siteUrl, search.token, lang);
+
+  const text = [
+    copy.confirmIntro.replace("{search}", label),
+    "",
+    `${copy.confirmAction}: ${confirmHref}`,
+    "",
+    "--",
+    copy.confirmIgnore,
+    `${copy.confirmNotMe}: ${unsubscribeHref}`,
+  ].join("\n");
+
+  const html = `<!doctype html>
+<html lang="${lang}">
+<body style="font-family:Arial,sans-serif;color:#111;line-height:1.5">
+  <p>${escapeHtml(copy.confirmIntro.replace("{search}", label))}</p>
+  <p><a href="${escapeHtml(confirmHref)}" style="color:#24988F;font-weight:bold">${escapeHtml(copy.confirmAction)}</a></p>
+  <hr style="border:0;border-top:1px solid #e2e2e2">
+  <p style="font-size:12px;color:#666">${escapeHtml(copy.confirmIgnore)}<br>
+    <a href="${escapeHtml(unsubscribeHref)}" style="color:#666">${escapeHtml(copy.confirmNotMe)}</a></p>
+</body>
+</html>`;
+
+  return {
+    to: search.email,
+    subject: copy.confirmSubject.replace("{search}", label),
+    text,
+    html,
+    headers: unsubscribeHeaders(unsubscribeHref),
+  };
+}
+
+export function buildAlertEmail({ search, companies, catalogs, siteUrl }) {
+  const lang = resolveLang(search.lang);
+  const copy = EMAIL_COPY[lang];
+  const label = describeSavedFilters(search.filters || {}, catalogs) || copy.anySearch;
+  const shown = companies.slice(0, MAX_COMPANIES_PER_EMAIL);
+  const rest = companies.length - shown.length;
+
+  const resultsHref = savedSearchUrl(siteUrl, search.filters || {}, lang);
+  const unsubscribeHref = unsubscribeUrl(siteUrl, search.token, lang);
+
+  const line = (c) => {
+    const port = catalogs.portsById?.get(String(c.port_id))?.name;
+    return { name: c.name, port, href: companyUrl(siteUrl, c, lang) };
+  };
+  const items = shown.map(line);
+
+  const subject = (companies.length === 1 ? copy.subjectOne : copy.subjectMany)
+    .replace("{n}", String(companies.length))
+    .replace("{search}", label);
+
+  const text = [
+    copy.intro.replace("{search}", label),
+    "",
+    ...items.map((it) => `- ${it.name}${it.port ? ` (${it.port})` : ""}: ${it.href}`),
+    rest > 0 ? copy.more.replace("{n}", String(rest)) : "",
+    "",
+    `${copy.viewAll}: ${resultsHref}`,
+    "",
+    "--",
+    copy.why,
+    `${copy.unsubscribe}: ${unsubscribeHref}`,
+  ].join("\n");
+
+  const html = `<!doctype html>
+<html lang="${lang}">
+<body style="font-family:Arial,sans-serif;color:#111;line-height:1.5">
+  <p>${escapeHtml(copy.intro.replace("{search}", label))}</p>
+  <ul>
+    ${items
+      .map((it) => `<li><a href="${escapeHtml(it.href)}">${escapeHtml(it.name)}</a>${it.port ? ` <span style="color:#666">(${escapeHtml(it.port)})</span>` : ""}</li>`)
+      .join("\n    ")}
+  </ul>
+  ${rest > 0 ? `<p>${escapeHtml(copy.more.replace("{n}", String(rest)))}</p>` : ""}
+  <p><a href="${escapeHtml(resultsHref)}" style="color:#24988F;font-weight:bold">${escapeHtml(copy.viewAll)}</a></p>
+  <hr style="border:0;border-top:1px solid #e2e2e2">
+  <p style="font-size:12px;color:#666">${escapeHtml(copy.why)}<br>
+    <a href="${escapeHtml(unsubscribeHref)}" style="color:#666">${escapeHtml(copy.unsubscribe)}</a></p>
+</body>
+</html>`;
+
+  return {
+    to: search.email,
+    subject,
+    text,
+    html,
+    headers: unsubscribeHeaders(unsubscribeHref),
+  };
+}
+
+// ===== Páginas de /api/alerts/confirm y /api/alerts/unsubscribe =====
+
+/**
+ * Página suelta (noindex) con un mensaje. form: texto del botón que repite la petición
+ * por POST a la misma URL (con el token): los GET de los enlaces del correo no cambian nada
+ */
+export function alertPage(lang, { title, message, back, form = "", status = 200 }) {
+  return html(
+    `<!doctype html>
+<html lang="${lang}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width,initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)} | NautiCards</title>
+  <link rel="stylesheet" href="/assets/styles.css">
+</head>
+<body data-page="static">
+  <main class="container" style="padding: 64px 0;">
+    <h1 class="page-title">${escapeHtml(title)}</h1>
+    <p class="body-text">${escapeHtml(message)}</p>
+    ${
+      form
+        ? `<form method="post" class="mt-4"><button type="submit" class="button">${escapeHtml(form)}</button></form>`
+        : `<p class="mt-4"><a class="button" href="/">${escapeHtml(back)}</a></p>`
+    }
+  </main>
+</body>
+</html>`,
+    { status, headers: { "X-Robots-Tag": "noindex" } }
+  );
+}
+
+// ===== Pasada programada =====
+
+/**
+ * Compara las empresas actuales con cada búsqueda activa y envía un email por búsqueda
+ * con las coincidencias nuevas (las que no están en seen_ids).
+ * Primero se prepara la cola completa y luego se envía; si un envío falla, esa búsqueda
+ * no se marca y se reintenta en la siguiente pasada.
+ */
+export async function runSavedSearchAlerts(context, { transport, siteUrl, now = new Date() }) {
+  const searches = await listSearches(context, { status: "active" });
+
+  const byLang = new Map();
+  for (const s of searches) {
+    const lang = resolveLang(s.lang);
+    if (!byLang.has(lang)) byLang.set(lang, []);
+    byLang.get(lang).push(s);
+  }
+
+  const queue = [];
+  for (const [lang, list] of byLang) {
+    const data = await loadAlertData(context, lang);
+
+    for (const search of list) {
+      const matches = matchSavedSearch(search.filters || {}, data, lang);
+      const seen = new Set((search.seen_ids || []).map(String));
+      const fresh = matches.filter((c) => !seen.has(String(c.id)));
+      if (!fresh.length) continue;
+
+      queue.push({
+        search,
+        seen_ids: [...new Set([...seen, ...matches.map((c) => String(c.id))])],
+        message: buildAlertEmail({ search, companies: fresh, catalogs: data.catalogs, siteUrl }),
+      });
+    }
+  }
+
+  let sent = 0;
+  let failed = 0;
+  for (const item of queue) {
+    try {
+      await transport.send(item.message);
+      await patchSearch(context, { id: item.search.id }, {
+        seen_ids: item.seen_ids,
+        last_notified_at: now.toISOString(),
+      });
+      sent++;
+    } catch (err) {
+      console.error(`alert ${item.search.id} failed:`, err);
+      failed++;
+    }
+  }
+
+  return { checked: searches.length, queued: queue.length, sent, failed, transport: transport.name };
+}
@@ -0,0 +1,89 @@
+// functions/_lib/catalogs.js
+// Catálogos (servicios, puertos, regiones, zonas) localizados + índices por id.
+
+import { loadTable, loadWhere } from "./supabase.js";
+import { localizeRow } from "./search.js";
+
+function indexById(list) {
+  const m = new Map();
+  for (const it of list || []) {
+    if (it && it.id != null) m.set(String(it.id), it);
+  }
+  return m;
+}
+
+export async function loadCatalogs(context, lang, tables = ["services", "ports", "regions", "areas"]) {
+  const lists = await Promise.all(tables.map((t) => loadTable(context, t)));
+
+  const catalogs = {};
+  tables.forEach((t, i) => {
+    const list = lists[i].map((row) => localizeRow(row, lang));
+    catalogs[t] = list;
+    catalogs[`${t}ById`] = indexById(list);
+  });
+
+  return catalogs;
+}
+
+function refOf(row, id) {
+  return row ? { id: row.id, name: row.name || String(row.id) } : { id, name: String(id) };
+}
+
+function portRefOf(row, id) {
+  if (!row) return refOf(null, id);
+  return {
+    id: row.id,
+    name: row.name || String(row.id),
+    area_id: row.area_id ?? null,
+    region_id: row.region_id ?? null,
+    lat: row.lat ?? null,
+    lon: row.lon ?? null,
+  };
+}
+
+/**
+ * Añade a la empresa los nombres localizados de sus relaciones:
+ * services[], port, secondary_ports[], region.
+ */
+export function expandCompany(company, catalogs) {
+  const sIds = Array.isArray(company.service_ids) ? company.service_ids.map(String) : [];
+  const secIds = Array.isArray(company.secondary_port_ids) ? company.secondary_port_ids.map(String) : [];
+
+  const port = company.port_id != null
+    ? portRefOf(catalogs.portsById?.get(String(company.port_id)), company.port_id)
+    : null;
+
+  const region = company.region_id != null
+    ? refOf(catalogs.regionsById?.get(String(company.region_id)), company.region_id)
+    : null;
+
+  return {
+    ...company,
+    services: sIds.map((id) => refOf(catalogs.servicesById?.get(id), id)),
+    port,
+    secondary_ports: secIds.map((id) => portRefOf(catalogs.portsById?.get(id), id)),
+    region,
+  };
+}
+
+// Resuelve una empresa por id o slug (el id también se prueba como slug)
+export async function findCompany(context, { id = "", slug = "" }) {
+  let rows = [];
+  if (id) rows = await loadWhere(context, "companies", "id", id);
+  if (!rows.length && (slug || id)) rows = await loadWhere(context, "companies", "slug", slug || id);
+  return rows[0] || null;
+}
+
+// ¿Existe una fila con ese id en un catálogo? (404 de /puertos/{id}/ y /servicios/{id}/)
+export async function catalogHas(context, table, id) {
+  const rows = await loadWhere(context, table, "id", id);
+  return rows.length > 0;
+}
+
+// Segmento de una URL limpia: el slug o, para empresas sin slug, su id
+// (solo se prueba como id si lo parece: en Supabase es numérico o uuid)
+export async function findCompanyBySegment(context, segment) {
+  const bySlug = await findCompany(context, { slug: segment });
+  if (bySlug || !/^(\d+|[0-9a-f-]{36})$/i.test(segment)) return bySlug;
+  return findCompany(context, { id: segment });
+}
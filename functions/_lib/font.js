@@ -0,0 +1,292 @@
+// functions/_lib/font.js
+// Lector mínimo de fuentes TrueType (.ttf o .woff) para pintar texto sin dependencias:
+// cmap (formatos 4 y 12), métricas horizontales y contornos de glifos (simples y compuestos).
+// Sin kerning ni ligaduras: para titulares de una tarjeta basta.
+
+import { inflate } from "./png.js";
+
+// .woff: tablas comprimidas con zlib por separado; .ttf: tal cual
+async function readTables(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const tag = (pos) => String.fromCharCode(...bytes.subarray(pos, pos + 4));
+  const tables = {};
+
+  if (tag(0) === "wOFF") {
+    const count = view.getUint16(12);
+    for (let i = 0; i < count; i++) {
+      const pos = 44 + i * 20;
+      const offset = view.getUint32(pos + 4);
+      const compLength = view.getUint32(pos + 8);
+      const origLength = view.getUint32(pos + 12);
+      const data = bytes.subarray(offset, offset + compLength);
+      tables[tag(pos)] = compLength < origLength ? await inflate(data) : data;
+    }
+  } else {
+    const count = view.getUint16(4);
+    for (let i = 0; i < count; i++) {
+      const pos = 12 + i * 16;
+      const offset = view.getUint32(pos + 8);
+      tables[tag(pos)] = bytes.subarray(offset, offset + view.getUint32(pos + 12));
+    }
+  }
+
+  for (const name of ["head", "hhea", "maxp", "hmtx", "loca", "glyf", "cmap"]) {
+    if (!tables[name]) throw new Error(`Fuente sin tabla ${name}`);
+  }
+  return tables;
+}
+
+const viewOf = (bytes) => new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+// Código Unicode -> índice de glifo
+function readCmap(bytes) {
+  const v = viewOf(bytes);
+  const count = v.getUint16(2);
+  let best = null;
+  for (let i = 0; i < count; i++) {
+    const platform = v.getUint16(4 + i * 8);
+    const encoding = v.getUint16(6 + i * 8);
+    const offset = v.getUint32(8 + i * 8);
+    const format = v.getUint16(offset);
+    const unicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+    if (unicode && (format === 12 || (format === 4 && !best))) best = { offset, format };
+  }
+  if (!best) throw new Error("Fuente sin cmap Unicode");
+
+  const map = new Map();
+  const { offset, format } = best;
+  if (format === 12) {
+    const groups = v.getUint32(offset + 12);
+    for (let g = 0; g < groups; g++) {
+      const p = offset + 16 + g * 12;
+      const start = v.getUint32(p);
+      const end = v.getUint32(p + 4);
+      const glyph = v.getUint32(p + 8);
+      for (let c = start; c <= end; c++) map.set(c, glyph + c - start);
+    }
+    return map;
+  }
+
+  const segs = v.getUint16(offset + 6) / 2;
+  const ends = offset + 14;
+  const starts = ends + segs * 2 + 2;
+  const deltas = starts + segs * 2;
+  const ranges = deltas + segs * 2;
+  for (let s = 0; s < segs; s++) {
+    const end = v.getUint16(ends + s * 2);
+    const start = v.getUint16(starts + s * 2);
+    const delta = v.getInt16(deltas + s * 2);
+    const rangeOffset = v.getUint16(ranges + s * 2);
+    for (let c = start; c <= end && c !== 0xffff; c++) {
+      let glyph;
+      if (!rangeOffset) glyph = (c + delta) & 0xffff;
+      else {
+        const p = ranges + s * 2 + rangeOffset + (c - start) * 2;
+        glyph = v.getUint16(p);
+        if (glyph) glyph = (glyph + delta) & 0xffff;
+      }
+      if (glyph) map.set(c, glyph);
+    }
+  }
+  return map;
+}
+
+// Contornos de un glifo: [[{ x, y, on }]] en unidades de la fuente (y hacia arriba)
+function readGlyph(font, index, depth = 0) {
+  const { glyf, loca, longLoca } = font;
+  const lv = viewOf(loca);
+  const start = longLoca ? lv.getUint32(index * 4) : lv.getUint16(index * 2) * 2;
+  const end = longLoca ? lv.getUint32(index * 4 + 4) : lv.getUint16(index * 2 + 2) * 2;
+  if (end <= start) return [];
+
+  const v = viewOf(glyf);
+  const contours = v.getInt16(start);
+
+  if (contours >= 0) {
+    let p = start + 10;
+    const endPts = [];
+    for (let i = 0; i < contours; i++, p += 2) endPts.push(v.getUint16(p));
+    const total = contours ? endPts[contours - 1] + 1 : 0;
+    p += 2 + v.getUint16(p); // instrucciones
+
+    const flags = [];
+    while (flags.length < total) {
+      const f = glyf[p++];
+      flags.push(f);
+      if (f & 8) for (let r = glyf[p++]; r > 0; r--) flags.push(f);
+    }
+
+    const coords = (shortBit, sameBit) => {
+      const out = [];
+      let value = 0;
+      for (const f of flags) {
+        if (f & shortBit) {
+          const d = glyf[p++];
+          value += f & sameBit ? d : -d;
+        } else if (!(f & sameBit)) {
+          value += v.getInt16(p);
+          p += 2;
+        }
+        out.push(value);
+      }
+      return out;
+    };
+    const xs = coords(2, 16);
+    const ys = coords(4, 32);
+
+    const out = [];
+    let first = 0;
+    for (const last of endPts) {
+      const contour = [];
+      for (let i = first; i <= last; i++) contour.push({ x: xs[i], y: ys[i], on: Boolean(flags[i] & 1) });
+      out.push(contour);
+      first = last + 1;
+    }
+    return out;
+  }
+
+  // Compuesto (á = a + ´): componentes con desplazamiento y escala opcional
+  if (depth > 8) return [];
+  const out = [];
+  let p = start + 10;
+  let flags;
+  do {
+    flags = v.getUint16(p);
+    const component = v.getUint16(p + 2);
+    p += 4;
+    let dx, dy;
+    if (flags & 1) {
+      dx = v.getInt16(p);
+      dy = v.getInt16(p + 2);
+      p += 4;
+    } else {
+      dx = v.getInt8(p);
+      dy = v.getInt8(p + 1);
+      p += 2;
+    }
+    let [a, b, c, d] = [1, 0, 0, 1];
+    const f2dot14 = (o) => v.getInt16(o) / 16384;
+    if (flags & 8) {
+      a = d = f2dot14(p);
+      p += 2;
+    } else if (flags & 0x40) {
+      a = f2dot14(p);
+      d = f2dot14(p + 2);
+      p += 4;
+    } else if (flags & 0x80) {
+      [a, b, c, d] = [f2dot14(p), f2dot14(p + 2), f2dot14(p + 4), f2dot14(p + 6)];
+      p += 8;
+    }
+    // Sin ARGS_ARE_XY_VALUES serían puntos a casar: no se usa en fuentes modernas
+    if (!(flags & 2)) dx = dy = 0;
+
+    for (const contour of readGlyph(font, component, depth + 1)) {
+      out.push(contour.map((pt) => ({ x: pt.x * a + pt.y * c + dx, y: pt.x * b + pt.y * d + dy, on: pt.on })));
+    }
+  } while (flags & 0x20);
+  return out;
+}
+
+// Contorno cuadrático de TrueType -> polígono (puntos "off" seguidos llevan un "on" implícito en medio)
+function flatten(contour, steps) {
+  if (!contour.length) return [];
+  const pts = [];
+  const n = contour.length;
+  let startIdx = contour.findIndex((pt) => pt.on);
+  let start;
+  if (startIdx < 0) {
+    start = { x: (contour[0].x + contour[n - 1].x) / 2, y: (contour[0].y + contour[n - 1].y) / 2 };
+    startIdx = 0;
+  } else {
+    start = contour[startIdx];
+    startIdx++;
+  }
+
+  pts.push([start.x, start.y]);
+  let prev = start;
+  let ctrl = null;
+  for (let k = 0; k < n; k++) {
+    const pt = contour[(startIdx + k) % n];
+    if (pt.on) {
+      if (ctrl) quad(pts, prev, ctrl, pt, steps);
+      else pts.push([pt.x, pt.y]);
+      prev = pt;
+      ctrl = null;
+    } else if (ctrl) {
+      const mid = { x: (ctrl.x + pt.x) / 2, y: (ctrl.y + pt.y) / 2 };
+      quad(pts, prev, ctrl, mid, steps);
+      prev = mid;
+      ctrl = pt;
+    } else {
+      ctrl = pt;
+    }
+  }
+  if (ctrl) quad(pts, prev, ctrl, start, steps);
+  return pts;
+}
+
+function quad(pts, p0, p1, p2, steps) {
+  for (let i = 1; i <= steps; i++) {
+    const t = i / steps;
+    const u = 1 - t;
+    pts.push([u * u * p0.x + 2 * u * t * p1.x + t * t * p2.x, u * u * p0.y + 2 * u * t * p1.y + t * t * p2.y]);
+  }
+}
+
+/**
+ * bytes (.ttf o .woff) -> fuente lista para measureText / textPolygons
+ */
+export async function loadFont(bytes) {
+  const t = await readTables(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+  const head = viewOf(t.head);
+  const hhea = viewOf(t.hhea);
+
+  return {
+    unitsPerEm: head.getUint16(18),
+    ascender: hhea.getInt16(4),
+    descender: hhea.getInt16(6),
+    numHMetrics: hhea.getUint16(34),
+    longLoca: head.getInt16(50) === 1,
+    hmtx: t.hmtx,
+    loca: t.loca,
+    glyf: t.glyf,
+    cmap: readCmap(t.cmap),
+    cache: new Map(),
+  };
+}
+
+function glyphOf(font, char) {
+  const cp = char.codePointAt(0);
+  const index = font.cmap.get(cp) ?? font.cmap.get(0xfffd) ?? 0;
+  if (!font.cache.has(index)) {
+    const hm = viewOf(font.hmtx);
+    const advance = hm.getUint16(Math.min(index, font.numHMetrics - 1) * 4);
+    font.cache.set(index, { advance, contours: readGlyph(font, index) });
+  }
+  return font.cache.get(index);
+}
+
+export function measureText(font, text, size) {
+  let units = 0;
+  for (const char of String(text)) units += glyphOf(font, char).advance;
+  return (units * size) / font.unitsPerEm;
+}
+
+/**
+ * Polígonos del texto en píxeles, con (x, y) en la línea base (y hacia abajo, como en SVG)
+ */
+export function textPolygons(font, text, size, x, y) {
+  const scale = size / font.unitsPerEm;
+  const steps = Math.max(2, Math.min(8, Math.round(size / 8)));
+  const out = [];
+  let pen = x;
+  for (const char of String(text)) {
+    const glyph = glyphOf(font, char);
+    for (const contour of glyph.contours) {
+      const poly = flatten(contour, steps).map(([gx, gy]) => [pen + gx * scale, y - gy * scale]);
+      if (poly.length > 2) out.push(poly);
+    }
+    pen += glyph.advance * scale;
+  }
+  return out;
+}
@@ -0,0 +1,173 @@
+// functions/_lib/http.js
+
+import { resolveLang } from "./i18n.js";
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, If-None-Match, If-Modified-Since",
+  "Access-Control-Expose-Headers": "ETag, Last-Modified",
+};
+
+const JSON_TYPE = "application/json; charset=utf-8";
+
+// Cache-Control para el navegador, CDN-Cache-Control para el edge de Cloudflare
+export const CACHE_POLICIES = {
+  // Catálogos (índice lite): cambian poco
+  catalog: {
+    "Cache-Control": "public, max-age=3600, stale-while-revalidate=86400",
+    "CDN-Cache-Control": "public, max-age=86400, stale-while-revalidate=604800",
+  },
+  // Ficha de empresa
+  profile: {
+    "Cache-Control": "public, max-age=600, stale-while-revalidate=3600",
+    "CDN-Cache-Control": "public, max-age=3600, stale-while-revalidate=86400",
+  },
+  // Búsquedas y autocompletado: TTL corto
+  search: {
+    "Cache-Control": "public, max-age=60, stale-while-revalidate=300",
+    "CDN-Cache-Control": "public, max-age=300",
+  },
+  sitemap: {
+    "Cache-Control": "public, max-age=3600",
+    "CDN-Cache-Control": "public, max-age=86400",
+  },
+  // Imágenes generadas (/og/...): caras de generar, cambian poco
+  image: {
+    "Cache-Control": "public, max-age=86400, stale-while-revalidate=604800",
+    "CDN-Cache-Control": "public, max-age=604800, stale-while-revalidate=604800",
+  },
+  // Errores, formularios y cualquier cosa por usuario
+  noStore: {
+    "Cache-Control": "no-store",
+    "CDN-Cache-Control": "no-store",
+  },
+};
+
+export function json(body, { status = 200, headers = {} } = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": JSON_TYPE,
+      ...CORS_HEADERS,
+      ...CACHE_POLICIES.noStore,
+      ...headers,
+    },
+  });
+}
+
+export function jsonError(status, error, extra = {}) {
+  return json({ error, ...extra }, { status });
+}
+
+// Páginas HTML generadas por una Function (sin caché salvo que se pida)
+export function html(body, { status = 200, headers = {} } = {}) {
+  return new Response(body, {
+    status,
+    headers: {
+      "Content-Type": "text/html; charset=utf-8",
+      ...CACHE_POLICIES.noStore,
+      ...headers,
+    },
+  });
+}
+
+// ETag fuerte: hash del cuerpo exacto que se envía (texto o bytes)
+async function etagFor(body) {
+  const bytes = typeof body === "string" ? new TextEncoder().encode(body) : body;
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  const hex = [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+  return `"${hex.slice(0, 32)}"`;
+}
+
+/**
+ * Fecha más reciente de updated_at (o created_at) entre las filas dadas.
+ * null si ninguna la trae (p. ej. los JSON locales).
+ */
+export function lastModifiedOf(...lists) {
+  let max = 0;
+  for (const list of lists) {
+    for (const row of Array.isArray(list) ? list : [list]) {
+      const t = Date.parse(row?.updated_at || row?.created_at || "");
+      if (Number.isFinite(t) && t > max) max = t;
+    }
+  }
+  return max ? new Date(max) : null;
+}
+
+function isNotModified(request, etag, lastModified) {
+  const inm = request.headers.get("If-None-Match");
+  if (inm) {
+    return inm
+      .split(",")
+      .map((t) => t.trim().replace(/^W\//, ""))
+      .some((t) => t === "*" || t === etag);
+  }
+
+  // If-Modified-Since solo cuenta si no hay If-None-Match (RFC 9110)
+  const ims = Date.parse(request.headers.get("If-Modified-Since") || "");
+  if (lastModified && Number.isFinite(ims)) {
+    return Math.floor(lastModified.getTime() / 1000) <= Math.floor(ims / 1000);
+  }
+
+  return false;
+}
+
+/**
+ * 200 con ETag/Last-Modified/Cache-Control según policy, o 304 si el cliente ya lo tiene.
+ */
+export async function cachedResponse(request, body, { contentType, policy = "noStore", lastModified = null, headers = {} } = {}) {
+  const etag = await etagFor(body);
+  const h = {
+    ...CORS_HEADERS,
+    ...(CACHE_POLICIES[policy] || CACHE_POLICIES.noStore),
+    ETag: etag,
+    ...headers,
+  };
+  if (lastModified) h["Last-Modified"] = lastModified.toUTCString();
+
+  if (isNotModified(request, etag, lastModified)) {
+    return new Response(null, { status: 304, headers: h });
+  }
+
+  return new Response(body, { status: 200, headers: { "Content-Type": contentType, ...h } });
+}
+
+export function cachedJson(request, body, options = {}) {
+  return cachedResponse(request, JSON.stringify(body), { contentType: JSON_TYPE, ...options });
+}
+
+// headers: para cambiar alguno de CORS_HEADERS (p. ej. el origen permitido)
+export function corsPreflight(headers = {}) {
+  return new Response(null, {
+    status: 204,
+    headers: { ...CORS_HEADERS, "Access-Control-Max-Age": "86400", ...headers },
+  });
+}
+
+// CORS solo para la propia web (SITE_URL o, sin ella, el origen de la petición)
+export function siteCorsHeaders({ env, request }) {
+  return { "Access-Control-Allow-Origin": new URL(env?.SITE_URL || request.url).origin, Vary: "Origin" };
+}
+
+export function getLangParam(url) {
+  return resolveLang(url.searchParams.get("lang"));
+}
+
+// ?x=a,b o ?x=a&x=b -> ["a", "b"]
+export function listParam(url, name) {
+  const out = [];
+  for (const raw of url.searchParams.getAll(name)) {
+    for (const v of raw.split(",")) {
+      const s = v.trim();
+      if (s && !out.includes(s)) out.push(s);
+    }
+  }
+  return out;
+}
+
+export function intParam(url, name, fallback, { min = 1, max = Infinity } = {}) {
+  const n = parseInt(url.searchParams.get(name) || "", 10);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
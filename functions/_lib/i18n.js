@@ -0,0 +1,15 @@
+// functions/_lib/i18n.js
+// Idiomas del sitio: los de assets/js/langs.js, el mismo módulo que usa el cliente.
+// Lo que no esté traducido en un idioma se toma del siguiente de su cadena: ca -> es.
+
+import { langChain } from "../../assets/js/langs.js";
+
+export { LANGS, DEFAULT_LANG, resolveLang, langChain } from "../../assets/js/langs.js";
+
+// { es, en, ca } -> el valor del idioma o del primero de su cadena que lo tenga
+export function pickLocalized(map, lang) {
+  for (const l of langChain(lang)) {
+    if (map?.[l] != null) return map[l];
+  }
+  return undefined;
+}
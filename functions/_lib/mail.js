@@ -0,0 +1,132 @@
+// functions/_lib/mail.js
+// Transporte de correo enchufable, elegido con MAIL_TRANSPORT:
+//   console (por defecto) -> escribe el mensaje en el log, sin los enlaces (llevan el token); solo vale
+//                            sin nada configurado (ni SITE_URL ni Supabase): en local con datos, file
+//   file                  -> un .eml por mensaje en MAIL_OUTBOX_DIR (por defecto .mail-outbox/); necesita node:fs
+//   resend                -> API HTTP de Resend (RESEND_API_KEY), para producción
+// Mensaje: { to, subject, text, html, headers? }. Remitente: MAIL_FROM.
+// Otros proveedores: registerMailTransport("nombre", (env) => ({ name, send(message) })).
+
+const DEFAULT_FROM = "NautiCards <alertas@nauticards.es>";
+
+// Los enlaces de confirmar y darse de baja llevan el token: al log solo va la ruta
+function redactLinks(text) {
+  return String(text || "").replace(/(https?:\/\/[^\s?#<>]+)[?#][^\s<>]*/g, "$1?…");
+}
+
+function consoleTransport() {
+  return {
+    name: "console",
+    async send(message) {
+      const headers = Object.entries(message.headers || {}).map(([k, v]) => `${k}: ${redactLinks(v)}`).join("\n");
+      console.log(`[mail] To: ${message.to}\nSubject: ${message.subject}\n${headers}\n\n${redactLinks(message.text)}`);
+      return { id: null };
+    },
+  };
+}
+
+// MIME mínimo (texto + HTML) para abrir los .eml con cualquier cliente de correo
+function toEml(from, message) {
+  const boundary = `nc-${crypto.randomUUID()}`;
+  const extra = Object.entries(message.headers || {}).map(([k, v]) => `${k}: ${v}`);
+
+  return [
+    `From: ${from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    ...extra,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    message.text,
+    `--${boundary}`,
+    "Content-Type: text/html; charset=utf-8",
+    "",
+    message.html || "",
+    `--${boundary}--`,
+    "",
+  ].join("\r\n");
+}
+
+function fileTransport(env) {
+  const dir = env.MAIL_OUTBOX_DIR || ".mail-outbox";
+  const from = env.MAIL_FROM || DEFAULT_FROM;
+
+  return {
+    name: "file",
+    async send(message) {
+      // Especificador en variable: que el bundler de Pages no intente resolver node:fs
+      const fsModule = "node:fs/promises";
+      const fs = await import(fsModule).catch(() => {
+        throw new Error("MAIL_TRANSPORT=file necesita node:fs (Node o nodejs_compat)");
+      });
+
+      await fs.mkdir(dir, { recursive: true });
+      const file = `${dir}/${Date.now()}-${String(message.to).replace(/[^a-z0-9@._-]+/gi, "_")}.eml`;
+      await fs.writeFile(file, toEml(from, message), "utf8");
+      console.log(`[mail] ${message.to} -> ${file}`);
+      return { id: file };
+    },
+  };
+}
+
+function resendTransport(env) {
+  if (!env.RESEND_API_KEY) throw new Error("MAIL_TRANSPORT=resend sin RESEND_API_KEY");
+  const from = env.MAIL_FROM || DEFAULT_FROM;
+
+  return {
+    name: "resend",
+    async send(message) {
+      const r = await fetch("https://api.resend.com/emails", {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${env.RESEND_API_KEY}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          from,
+          to: [message.to],
+          subject: message.subject,
+          text: message.text,
+          html: message.html,
+          headers: message.headers,
+        }),
+      });
+
+      if (!r.ok) throw new Error(`Resend -> HTTP ${r.status}: ${await r.text()}`);
+      const data = await r.json();
+      return { id: data?.id ?? null };
+    },
+  };
+}
+
+const TRANSPORTS = {
+  console: consoleTransport,
+  file: fileTransport,
+  resend: resendTransport,
+};
+
+export function registerMailTransport(name, factory) {
+  TRANSPORTS[String(name).toLowerCase()] = factory;
+}
+
+// Con SITE_URL o Supabase configurados (un despliegue) el console no vale: los correos
+// acabarían en el log y /api/alerts seguiría respondiendo 201 sin que nadie se enterase
+function isConfigured(env) {
+  return Boolean(env.SITE_URL || env.SUPABASE_URL || env.SUPABASE_SERVICE_ROLE_KEY || env.SUPABASE_ANON_KEY);
+}
+
+export function createMailTransport(env = {}) {
+  const name = String(env.MAIL_TRANSPORT || "console").toLowerCase();
+  if (name === "console" && isConfigured(env)) {
+    throw new Error("MAIL_TRANSPORT sin configurar: console solo vale en local sin SITE_URL ni Supabase");
+  }
+
+  const factory = TRANSPORTS[name];
+  if (!factory) throw new Error(`MAIL_TRANSPORT desconocido: ${name}`);
+  return factory(env);
+}
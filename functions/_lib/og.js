@@ -0,0 +1,233 @@
+// functions/_lib/og.js
+// Imágenes para compartir (Open Graph / Twitter) de empresas y puertos: tarjeta de marca en SVG
+// (plantilla de abajo) rasterizada aquí mismo a PNG, sin servicios externos.
+// Fuente: Inter (assets/fonts, OFL) como en la web.
+
+import { escapeHtml } from "./pages.js";
+import { loadFont, measureText } from "./font.js";
+import { rasterizeSvg } from "./raster.js";
+import { decodePng, encodePng } from "./png.js";
+import { pickLocalized } from "./i18n.js";
+
+export const OG_WIDTH = 1200;
+export const OG_HEIGHT = 630;
+
+// Mismos colores que tailwind.config (nauti.*)
+const COLORS = { dark: "#1a1f2e", base: "#2CB1A6", muted: "#94a3b8", white: "#ffffff" };
+
+const FONT_FILES = { 500: "/assets/fonts/inter-latin-500-normal.woff", 800: "/assets/fonts/inter-latin-800-normal.woff" };
+
+// Logos más grandes que esto no se bajan: iniciales
+const MAX_LOGO_BYTES = 3 * 1024 * 1024;
+
+const COPY = {
+  es: { companies: (n) => `${n} ${n === 1 ? "empresa" : "empresas"}` },
+  en: { companies: (n) => `${n} ${n === 1 ? "company" : "companies"}` },
+  ca: { companies: (n) => `${n} ${n === 1 ? "empresa" : "empreses"}` },
+};
+
+/* ===== Datos de la tarjeta ===== */
+
+function initialsOf(name) {
+  const words = String(name || "").trim().split(/\s+/).filter((w) => /\p{L}|\d/u.test(w));
+  return words.slice(0, 2).map((w) => [...w][0].toUpperCase()).join("") || "N";
+}
+
+function httpUrl(value) {
+  let raw = String(value || "").trim();
+  if (raw.startsWith("//")) raw = `https:${raw}`;
+  try {
+    const u = new URL(raw);
+    return u.protocol === "http:" || u.protocol === "https:" ? u.href : "";
+  } catch {
+    return "";
+  }
+}
+
+// company: expandCompany(...) (services, port, region con nombres)
+export function companyCard(company) {
+  const name = String(company.name || company.slug || "").trim();
+  const place = [company.port?.name, company.region?.name].filter(Boolean).join(" · ");
+  return {
+    title: name,
+    subtitle: place,
+    chips: (company.services || []).map((s) => s.name || String(s.id)).slice(0, 4),
+    logo: httpUrl(company.logo),
+    initials: initialsOf(name),
+  };
+}
+
+// port con nombres localizados; companies: las del puerto (principal o secundario)
+export function portCard(port, { lang = "es", companies = [], catalogs = {} } = {}) {
+  const name = String(port.name || port.id).trim();
+  const area = catalogs.areasById?.get(String(port.area_id ?? ""))?.name;
+  const region = catalogs.regionsById?.get(String(port.region_id ?? ""))?.name;
+
+  // Servicios con más empresas en el puerto
+  const counts = new Map();
+  for (const c of companies) {
+    for (const id of (Array.isArray(c.service_ids) ? c.service_ids : []).map(String)) {
+      counts.set(id, (counts.get(id) || 0) + 1);
+    }
+  }
+  const top = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, 4)
+    .map(([id]) => catalogs.servicesById?.get(id)?.name || id);
+
+  return {
+    title: name,
+    subtitle: [area || region, companies.length ? pickLocalized(COPY, lang).companies(companies.length) : ""].filter(Boolean).join(" · "),
+    chips: top,
+    logo: httpUrl(port.image_url).toLowerCase().endsWith(".png") ? httpUrl(port.image_url) : "",
+    initials: initialsOf(name),
+  };
+}
+
+/* ===== Plantilla SVG ===== */
+
+// Corta con "…" hasta que quepa
+function fit(text, maxWidth, measure) {
+  if (measure(text) <= maxWidth) return text;
+  const chars = [...text];
+  while (chars.length && measure(`${chars.join("").trimEnd()}…`) > maxWidth) chars.pop();
+  return `${chars.join("").trimEnd()}…`;
+}
+
+// Reparte en como mucho maxLines líneas (la última, cortada)
+function wrap(text, maxWidth, maxLines, measure) {
+  const lines = [];
+  let line = "";
+  const words = String(text).split(/\s+/).filter(Boolean);
+  for (let i = 0; i < words.length; i++) {
+    const candidate = line ? `${line} ${words[i]}` : words[i];
+    if (measure(candidate) <= maxWidth || !line) {
+      line = candidate;
+      continue;
+    }
+    if (lines.length === maxLines - 1) {
+      line = words.slice(i - line.split(" ").length, words.length).join(" ");
+      break;
+    }
+    lines.push(line);
+    line = words[i];
+  }
+  if (line) lines.push(fit(line, maxWidth, measure));
+  return lines.slice(0, maxLines);
+}
+
+/**
+ * card: { title, subtitle, chips, logoHref, initials }
+ * measure(text, size, weight) -> ancho en px con la misma fuente que se va a pintar
+ */
+export function cardSvg(card, measure) {
+  const x = 350;
+  const maxWidth = OG_WIDTH - x - 80;
+  const out = [];
+
+  const text = (value, { tx, ty, size, weight = 500, fill = COLORS.white, anchor = "" }) =>
+    `<text x="${tx}" y="${ty}" font-family="Inter, sans-serif" font-size="${size}" font-weight="${weight}" fill="${fill}"${
+      anchor ? ` text-anchor="${anchor}"` : ""
+    }>${escapeHtml(value)}</text>`;
+
+  out.push(`<rect x="0" y="0" width="${OG_WIDTH}" height="${OG_HEIGHT}" fill="${COLORS.dark}"/>`);
+  out.push(`<circle cx="1120" cy="60" r="280" fill="${COLORS.base}" fill-opacity="0.08"/>`);
+  out.push(`<rect x="0" y="${OG_HEIGHT - 12}" width="${OG_WIDTH}" height="12" fill="${COLORS.base}"/>`);
+  out.push(text("NautiCards", { tx: 80, ty: 110, size: 36, weight: 800, fill: COLORS.base }));
+
+  // Logo (o iniciales) en una caja blanca
+  out.push(`<rect x="80" y="170" width="220" height="220" rx="32" fill="${COLORS.white}"/>`);
+  if (card.logoHref) {
+    out.push(`<image href="${escapeHtml(card.logoHref)}" x="100" y="190" width="180" height="180"/>`);
+  } else {
+    out.push(text(card.initials, { tx: 190, ty: 312, size: 88, weight: 800, fill: COLORS.dark, anchor: "middle" }));
+  }
+
+  // Nombre: hasta 2 líneas; si no cabe en 2 a 64 px, a 52
+  let size = 64;
+  let lines = wrap(card.title, maxWidth, 2, (t) => measure(t, size, 800));
+  if (lines.length === 2 && lines[1].endsWith("…")) {
+    size = 52;
+    lines = wrap(card.title, maxWidth, 2, (t) => measure(t, size, 800));
+  }
+  const lineHeight = Math.round(size * 1.15);
+  let y = lines.length > 1 ? 225 : 260;
+  for (const line of lines) {
+    out.push(text(line, { tx: x, ty: y, size, weight: 800 }));
+    y += lineHeight;
+  }
+
+  if (card.subtitle) {
+    out.push(text(fit(card.subtitle, maxWidth, (t) => measure(t, 32, 500)), { tx: x, ty: y + 4, size: 32, fill: COLORS.muted }));
+  }
+
+  // Servicios en píldoras: las que quepan en 2 filas
+  let cx = x;
+  let cy = 440;
+  for (const chip of card.chips || []) {
+    const label = fit(chip, 320, (t) => measure(t, 26, 500));
+    const w = Math.ceil(measure(label, 26, 500)) + 44;
+    if (cx + w > x + maxWidth) {
+      if (cy > 440) break;
+      cx = x;
+      cy += 68;
+    }
+    out.push(
+      `<rect x="${cx}" y="${cy}" width="${w}" height="52" rx="26" fill="${COLORS.base}" fill-opacity="0.15" stroke="${COLORS.base}" stroke-opacity="0.6" stroke-width="2"/>`
+    );
+    out.push(text(label, { tx: cx + 22, ty: cy + 35, size: 26, fill: COLORS.white }));
+    cx += w + 14;
+  }
+
+  out.push(text("nauticards.es", { tx: OG_WIDTH - 80, ty: OG_HEIGHT - 50, size: 26, fill: COLORS.muted, anchor: "end" }));
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${OG_WIDTH}" height="${OG_HEIGHT}" viewBox="0 0 ${OG_WIDTH} ${OG_HEIGHT}">
+${out.join("\n")}
+</svg>`;
+}
+
+/* ===== Rasterizado ===== */
+
+// Fuentes ya parseadas: se reutilizan mientras viva el isolate
+let fontsPromise = null;
+
+function loadFonts({ request, env }) {
+  if (!fontsPromise) {
+    fontsPromise = Promise.all(
+      Object.entries(FONT_FILES).map(async ([weight, path]) => {
+        const url = new URL(path, request.url);
+        const r = env?.ASSETS ? await env.ASSETS.fetch(url) : await fetch(url);
+        if (!r.ok) throw new Error(`Font error: ${path} -> HTTP ${r.status}`);
+        return [weight, await loadFont(new Uint8Array(await r.arrayBuffer()))];
+      })
+    ).then(Object.fromEntries);
+    fontsPromise.catch(() => (fontsPromise = null));
+  }
+  return fontsPromise;
+}
+
+// Logo PNG decodificado o null (no PNG, muy grande, caído...): entonces van las iniciales
+async function loadLogo(url) {
+  if (!url) return null;
+  try {
+    const r = await fetch(url, { signal: AbortSignal.timeout(4000), cf: { cacheTtl: 86400, cacheEverything: true } });
+    if (!r.ok || Number(r.headers.get("Content-Length") || 0) > MAX_LOGO_BYTES) return null;
+    const bytes = new Uint8Array(await r.arrayBuffer());
+    return bytes.length > MAX_LOGO_BYTES ? null : await decodePng(bytes);
+  } catch (err) {
+    console.error("og logo error:", url, err);
+    return null;
+  }
+}
+
+/**
+ * card (companyCard / portCard) -> bytes del PNG
+ */
+export async function renderCardPng(context, card) {
+  const [fonts, logo] = await Promise.all([loadFonts(context), loadLogo(card.logo)]);
+  const measure = (t, size, weight) => measureText(fonts[weight] || fonts[500], t, size);
+
+  const svg = cardSvg({ ...card, logoHref: logo ? card.logo : "" }, measure);
+  const canvas = rasterizeSvg(svg, { fonts, images: logo ? { [card.logo]: logo } : {} });
+  return encodePng(canvas.width, canvas.height, canvas.data);
+}
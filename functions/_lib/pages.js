@@ -0,0 +1,122 @@
+// functions/_lib/pages.js
+// Páginas renderizadas en el servidor a partir de las plantillas estáticas:
+// la Function rellena <head> (title, description, canonical, hreflang, Open Graph) y los
+// textos principales; después el JS del cliente hidrata encima como en cualquier página.
+// Reemplazos por texto: las plantillas son nuestras y los ids, únicos.
+
+import { loadStatic } from "./supabase.js";
+import { langChain } from "./i18n.js";
+
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// data/{lang}.json: los mismos textos (y plantillas con {variables}) que usa el cliente,
+// con lo que falte rellenado por su cadena (ca -> es), como loadDict en assets/i18n.js
+export async function loadDict(context, lang) {
+  const dicts = await Promise.all(langChain(lang).map((l) => loadStatic(context, l, {})));
+  return Object.assign({}, ...dicts.reverse());
+}
+
+export function fillTemplate(template, vars = {}) {
+  return String(template ?? "").replace(/\{(\w+)\}/g, (m, k) => (vars[k] != null ? String(vars[k]) : m));
+}
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Plantilla /seccion/ como texto, con <base href> para que sus rutas relativas
+ * (../../assets/...) resuelvan igual desde /seccion/{algo}/. null si no existe.
+ */
+export async function loadTemplate(context, templatePath) {
+  const { request, env } = context;
+  const url = new URL(templatePath, request.url);
+  const r = env?.ASSETS ? await env.ASSETS.fetch(url) : await fetch(url);
+  if (!r.ok) return null;
+
+  const page = await r.text();
+  if (/<base\s[^>]*href=/i.test(page)) return page; // la plantilla ya trae la suya (p. ej. /puertos/)
+  return page.replace(/<head([^>]*)>/i, `<head$1>\n  <base href="${templatePath}">`);
+}
+
+// Sustituye la etiqueta que case con pattern o, si no está, la añade al final de <head>
+// (replacers con función: el contenido puede traer "$")
+function upsertHead(page, pattern, tag) {
+  return pattern.test(page) ? page.replace(pattern, () => tag) : page.replace(/<\/head>/i, () => `  ${tag}\n</head>`);
+}
+
+/**
+ * meta: { lang, title, description, robots, canonical, alternates: { es, en, ca, "x-default" }, image, type }
+ * og:* y twitter:* se sacan de lo mismo (og:url = canonical).
+ */
+export function renderHead(page, meta) {
+  let out = page;
+
+  if (meta.lang) out = out.replace(/<html([^>]*)\blang="[^"]*"/i, `<html$1lang="${escapeHtml(meta.lang)}"`);
+  if (meta.title) out = upsertHead(out, /<title>[\s\S]*?<\/title>/i, `<title>${escapeHtml(meta.title)}</title>`);
+
+  const named = { description: meta.description, robots: meta.robots };
+  for (const [name, content] of Object.entries(named)) {
+    if (content == null) continue;
+    out = upsertHead(out, new RegExp(`<meta\\s+name="${name}"[^>]*>`, "i"), `<meta name="${name}" content="${escapeHtml(content)}">`);
+  }
+
+  if (meta.canonical) {
+    out = upsertHead(out, /<link\s+rel="canonical"[^>]*>/i, `<link rel="canonical" href="${escapeHtml(meta.canonical)}">`);
+  }
+
+  for (const [hreflang, href] of Object.entries(meta.alternates || {})) {
+    const pattern = new RegExp(`<link\\s+rel="alternate"\\s+hreflang="${escapeRegExp(hreflang)}"[^>]*>`, "i");
+    out = upsertHead(out, pattern, `<link rel="alternate" hreflang="${escapeHtml(hreflang)}" href="${escapeHtml(href)}">`);
+  }
+
+  const social = [
+    ["property", "og:title", meta.title],
+    ["property", "og:description", meta.description],
+    ["property", "og:type", meta.type || "website"],
+    ["property", "og:url", meta.canonical],
+    ["property", "og:image", meta.image],
+    ["name", "twitter:card", "summary_large_image"],
+    ["name", "twitter:title", meta.title],
+    ["name", "twitter:description", meta.description],
+    ["name", "twitter:image", meta.image],
+  ];
+  for (const [attr, key, content] of social) {
+    if (!content) continue;
+    const pattern = new RegExp(`<meta\\s+${attr}="${escapeRegExp(key)}"[^>]*>`, "i");
+    out = upsertHead(out, pattern, `<meta ${attr}="${key}" content="${escapeHtml(content)}">`);
+  }
+
+  return out;
+}
+
+// Contenido del elemento con ese id (html ya escapado por quien llama)
+export function setInnerHtml(page, id, htmlContent) {
+  const pattern = new RegExp(`(<(\\w+)\\b[^>]*\\sid="${escapeRegExp(id)}"[^>]*>)[\\s\\S]*?(</\\2>)`);
+  return page.replace(pattern, (_, open, _tag, close) => `${open}${htmlContent}${close}`);
+}
+
+export function setText(page, id, text) {
+  return setInnerHtml(page, id, escapeHtml(text));
+}
+
+export function setAttr(page, id, attr, value) {
+  const tag = new RegExp(`<\\w+\\b[^>]*\\sid="${escapeRegExp(id)}"[^>]*>`);
+  const current = new RegExp(`\\s${escapeRegExp(attr)}="[^"]*"`);
+  const next = ` ${attr}="${escapeHtml(value)}"`;
+
+  return page.replace(tag, (open) =>
+    current.test(open) ? open.replace(current, next) : open.replace(/\s*\/?>$/, (end) => `${next}${end}`)
+  );
+}
+
+// Datos para que el cliente no repita la petición: <script type="application/json" id="...">
+export function embedJson(page, id, data) {
+  const payload = JSON.stringify(data).replace(/</g, "\\u003c");
+  return page.replace(/<\/body>/i, () => `  <script type="application/json" id="${id}">${payload}</script>\n</body>`);
+}
@@ -0,0 +1,172 @@
+// functions/_lib/png.js
+// PNG mínimo sin dependencias: codifica RGB de 8 bits y decodifica lo habitual en logos
+// (gris, RGB, paleta, con o sin alfa; no entrelazados). zlib con Compression Streams
+// (Workers y Node 18+).
+
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+// Más de esto no se decodifica (memoria del isolate)
+const MAX_PIXELS = 4_000_000;
+
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(bytes, crc = 0xffffffff) {
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return crc;
+}
+
+async function pipe(bytes, stream) {
+  const out = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(out).arrayBuffer());
+}
+
+export const deflate = (bytes) => pipe(bytes, new CompressionStream("deflate"));
+export const inflate = (bytes) => pipe(bytes, new DecompressionStream("deflate"));
+
+function chunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, (crc32(out.subarray(4, 8 + data.length)) ^ 0xffffffff) >>> 0);
+  return out;
+}
+
+/**
+ * rgb: Uint8Array de width*height*3 -> bytes del PNG
+ */
+export async function encodePng(width, height, rgb) {
+  // Filtro Sub en todas las filas: con fondos planos comprime mucho más que sin filtro
+  const stride = width * 3;
+  const raw = new Uint8Array((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const src = y * stride;
+    const dst = y * (stride + 1);
+    raw[dst] = 1;
+    for (let i = 0; i < stride; i++) {
+      raw[dst + 1 + i] = (rgb[src + i] - (i >= 3 ? rgb[src + i - 3] : 0)) & 0xff;
+    }
+  }
+
+  const ihdr = new Uint8Array(13);
+  const view = new DataView(ihdr.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  ihdr.set([8, 2, 0, 0, 0], 8); // 8 bits, RGB, deflate, filtros estándar, sin entrelazar
+
+  const parts = [Uint8Array.from(SIGNATURE), chunk("IHDR", ihdr), chunk("IDAT", await deflate(raw)), chunk("IEND", new Uint8Array())];
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/**
+ * bytes del PNG -> { width, height, data } (data RGBA) o null si no se puede leer
+ */
+export async function decodePng(bytes) {
+  const buf = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  if (buf.length < 8 || SIGNATURE.some((b, i) => buf[i] !== b)) return null;
+
+  const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  let header = null;
+  let palette = null;
+  let alphas = null;
+  const idat = [];
+
+  for (let pos = 8; pos + 8 <= buf.length; ) {
+    const length = view.getUint32(pos);
+    const type = String.fromCharCode(...buf.subarray(pos + 4, pos + 8));
+    const data = buf.subarray(pos + 8, pos + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: view.getUint32(pos + 8),
+        height: view.getUint32(pos + 12),
+        depth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === "PLTE") palette = data;
+    else if (type === "tRNS") alphas = data;
+    else if (type === "IDAT") idat.push(data);
+    else if (type === "IEND") break;
+    pos += 12 + length;
+  }
+
+  if (!header || !idat.length || header.interlace) return null;
+  const { width, height, depth, colorType } = header;
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(depth) || width * height > MAX_PIXELS) return null;
+  if (colorType === 3 && !palette) return null;
+
+  const joined = new Uint8Array(idat.reduce((n, d) => n + d.length, 0));
+  idat.reduce((offset, d) => (joined.set(d, offset), offset + d.length), 0);
+  const raw = await inflate(joined);
+
+  // Quitar filtros por fila
+  const bpp = Math.max(1, (channels * depth) >> 3);
+  const stride = Math.ceil((width * channels * depth) / 8);
+  if (raw.length < (stride + 1) * height) return null;
+  const pixels = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    for (let i = 0; i < stride; i++) {
+      const a = i >= bpp ? pixels[row + i - bpp] : 0;
+      const b = y ? pixels[row - stride + i] : 0;
+      const c = y && i >= bpp ? pixels[row - stride + i - bpp] : 0;
+      const x = line[i];
+      pixels[row + i] =
+        filter === 1 ? x + a : filter === 2 ? x + b : filter === 3 ? x + ((a + b) >> 1) : filter === 4 ? x + paeth(a, b, c) : x;
+    }
+  }
+
+  // Muestra n de la fila y (16 bits -> byte alto; <8 bits -> empaquetados)
+  const sample = (y, n) => {
+    if (depth === 8) return pixels[y * stride + n];
+    if (depth === 16) return pixels[y * stride + n * 2];
+    const bit = n * depth;
+    return (pixels[y * stride + (bit >> 3)] >> (8 - depth - (bit & 7))) & ((1 << depth) - 1);
+  };
+  const scale = depth < 8 && colorType !== 3 ? 255 / ((1 << depth) - 1) : 1;
+
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      const s = x * channels;
+      if (colorType === 3) {
+        const i = sample(y, s);
+        data.set([palette[i * 3], palette[i * 3 + 1], palette[i * 3 + 2], alphas && i < alphas.length ? alphas[i] : 255], o);
+      } else if (colorType === 0 || colorType === 4) {
+        const g = Math.round(sample(y, s) * scale);
+        data.set([g, g, g, colorType === 4 ? sample(y, s + 1) : 255], o);
+      } else {
+        data.set([sample(y, s), sample(y, s + 1), sample(y, s + 2), colorType === 6 ? sample(y, s + 3) : 255], o);
+      }
+    }
+  }
+
+  return { width, height, data };
+}
@@ -0,0 +1,188 @@
+// functions/_lib/rank.js
+// Búsqueda de texto libre (q) con ranking:
+// - Sin tildes ni mayúsculas (normalize).
+// - Tolera erratas: prefijos ("antifoulin") y distancia de edición ("mecanca").
+// - Pesos por campo: nombre > servicios > sinónimos/puertos > descripción.
+// - Sinónimos de los servicios desde data/diccionario.json (ver _lib/synonyms.js).
+// - Todas las palabras de la consulta tienen que encontrar algo (AND).
+
+import { normalize, companyPortIds } from "./search.js";
+import { resolveLang } from "./i18n.js";
+
+const FIELD_WEIGHTS = {
+  name: 5,
+  services: 3,
+  synonyms: 2,
+  ports: 2,
+  description: 1,
+};
+
+const FEATURED_BOOST = 1.2;
+const PHRASE_IN_NAME_BONUS = 3;
+
+export const STOPWORDS = new Set([
+  "de", "del", "la", "las", "el", "los", "en", "y", "a", "para", "con", "por", "un", "una",
+  "the", "of", "in", "and", "for", "with", "to",
+]);
+
+export function tokenize(str) {
+  return normalize(str)
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length >= 2 && !STOPWORDS.has(t));
+}
+
+// Distancia de edición con transposiciones (OSA). Corta si supera max.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        v = Math.min(v, prev2[j - 2] + 1);
+      }
+      cur.push(v);
+      if (v < rowMin) rowMin = v;
+    }
+
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+
+  return prev[b.length];
+}
+
+function maxEdits(token) {
+  if (token.length >= 8) return 2;
+  if (token.length >= 4) return 1;
+  return 0;
+}
+
+// 0..1: qué tal encaja una palabra de la consulta con una palabra del texto
+function tokenMatch(qt, dt) {
+  if (qt === dt) return 1;
+  if (qt.length >= 3 && dt.startsWith(qt)) return 0.9;
+
+  const max = maxEdits(qt);
+  if (max) {
+    const d = editDistance(qt, dt, max);
+    if (d <= max) return 0.8 - 0.15 * (d - 1);
+
+    // Errata mientras se escribe: "antifoulng" ~ "antifouling"[0..10]
+    if (dt.length > qt.length) {
+      const dp = editDistance(qt, dt.slice(0, qt.length), max);
+      if (dp <= max) return 0.6 - 0.15 * (dp - 1);
+    }
+  }
+
+  if (qt.length >= 4 && dt.includes(qt)) return 0.5;
+  return 0;
+}
+
+function bestIn(qt, tokens) {
+  let best = 0;
+  for (const dt of tokens) {
+    const s = tokenMatch(qt, dt);
+    if (s > best) best = s;
+    if (best === 1) break;
+  }
+  return best;
+}
+
+/**
+ * 0..1: todas las palabras de la consulta encajan con alguna de tokens (media de los encajes).
+ * Para textos cortos como nombres (autocompletado).
+ */
+export function matchTokens(queryTokens, tokens) {
+  if (!queryTokens.length) return 0;
+
+  let total = 0;
+  for (const qt of queryTokens) {
+    const s = bestIn(qt, tokens);
+    if (!s) return 0;
+    total += s;
+  }
+  return total / queryTokens.length;
+}
+
+/**
+ * Prepara los campos de búsqueda de una empresa (nombres ya localizados).
+ * lookups: { servicesById, portsById } como en loadCatalogs(),
+ * más synonymsByService (termsByService de loadVocabulary) si se quiere buscar por sinónimos.
+ */
+export function buildSearchDoc(company, lookups = {}) {
+  const serviceNames = (company.service_ids || [])
+    .map((id) => lookups.servicesById?.get(String(id))?.name || "")
+    .join(" ");
+
+  const portNames = companyPortIds(company)
+    .map((id) => lookups.portsById?.get(id)?.name || "")
+    .join(" ");
+
+  const synonyms = (company.service_ids || [])
+    .flatMap((id) => lookups.synonymsByService?.get(String(id)) || [])
+    .join(" ");
+
+  return {
+    nameNorm: normalize(company.name),
+    fields: {
+      name: tokenize(company.name),
+      services: tokenize(serviceNames),
+      synonyms: tokenize(synonyms),
+      ports: tokenize(portNames),
+      description: tokenize(company.description),
+    },
+  };
+}
+
+/**
+ * Puntuación de una empresa para la consulta (0 = no coincide).
+ */
+export function scoreCompany(company, doc, queryTokens, queryNorm = "") {
+  if (!queryTokens.length) return 0;
+
+  let score = 0;
+
+  for (const qt of queryTokens) {
+    let best = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      const s = bestIn(qt, doc.fields[field]) * weight;
+      if (s > best) best = s;
+    }
+    if (!best) return 0;
+    score += best;
+  }
+
+  if (queryNorm && doc.nameNorm.includes(queryNorm)) score += PHRASE_IN_NAME_BONUS;
+  if (company.featured ?? company.destacada) score *= FEATURED_BOOST;
+
+  return score;
+}
+
+/**
+ * Filtra y ordena por relevancia. Empates: destacadas y luego nombre.
+ */
+export function rankCompanies(companies, q, lookups = {}, lang = "es") {
+  const queryTokens = tokenize(q);
+  const queryNorm = normalize(q);
+  if (!queryTokens.length) return companies.slice();
+
+  const locale = resolveLang(lang);
+
+  return companies
+    .map((c) => ({ c, score: scoreCompany(c, buildSearchDoc(c, lookups), queryTokens, queryNorm) }))
+    .filter((x) => x.score > 0)
+    .sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+      return (a.c.name || "").localeCompare(b.c.name || "", locale, { sensitivity: "base" });
+    })
+    .map((x) => x.c);
+}
@@ -0,0 +1,249 @@
+// functions/_lib/raster.js
+// Rasterizador de un SVG sencillo (el de nuestras plantillas, no SVG arbitrario) a RGB:
+//   <svg width height>, <rect x y width height rx fill stroke stroke-width>, <circle cx cy r fill>,
+//   <text x y font-size font-weight text-anchor fill>, <image href x y width height> (PNG ya decodificado)
+// fill-opacity/opacity en todo. Relleno por scanlines con antialiasing (nonzero).
+
+import { textPolygons, measureText } from "./font.js";
+
+// Submuestras verticales por fila de píxeles (la horizontal es exacta)
+const SUBSAMPLES = 4;
+
+function parseColor(value, opacity = 1) {
+  const s = String(value || "").trim();
+  if (!s || s === "none") return null;
+  let hex = s.replace(/^#/, "");
+  if (hex.length === 3) hex = [...hex].map((c) => c + c).join("");
+  if (!/^[0-9a-f]{6}$/i.test(hex)) return null;
+  const n = parseInt(hex, 16);
+  return { r: n >> 16, g: (n >> 8) & 0xff, b: n & 0xff, a: Math.max(0, Math.min(1, opacity)) };
+}
+
+function createCanvas(width, height) {
+  return { width, height, data: new Uint8Array(width * height * 3).fill(255) };
+}
+
+function blend(canvas, i, color, coverage) {
+  const a = color.a * Math.min(1, coverage);
+  if (a <= 0) return;
+  const d = canvas.data;
+  const o = i * 3;
+  d[o] += (color.r - d[o]) * a;
+  d[o + 1] += (color.g - d[o + 1]) * a;
+  d[o + 2] += (color.b - d[o + 2]) * a;
+}
+
+/**
+ * Rellena polígonos ([[x, y], ...]) con la regla nonzero: los contornos en sentido
+ * contrario hacen agujeros (glifos, marcos)
+ */
+function fillPolygons(canvas, polygons, color) {
+  if (!color || !polygons.length) return;
+
+  const edges = [];
+  let minY = Infinity;
+  let maxY = -Infinity;
+  for (const poly of polygons) {
+    for (let i = 0; i < poly.length; i++) {
+      const [x0, y0] = poly[i];
+      const [x1, y1] = poly[(i + 1) % poly.length];
+      if (y0 === y1) continue;
+      const dir = y1 > y0 ? 1 : -1;
+      const [top, bottom] = dir > 0 ? [[x0, y0], [x1, y1]] : [[x1, y1], [x0, y0]];
+      edges.push({ y0: top[1], y1: bottom[1], x0: top[0], slope: (bottom[0] - top[0]) / (bottom[1] - top[1]), dir });
+      minY = Math.min(minY, top[1]);
+      maxY = Math.max(maxY, bottom[1]);
+    }
+  }
+  edges.sort((a, b) => a.y0 - b.y0);
+
+  const { width, height } = canvas;
+  const rowStart = Math.max(0, Math.floor(minY));
+  const rowEnd = Math.min(height, Math.ceil(maxY));
+  const cover = new Float32Array(width + 1);
+  let next = 0;
+  let active = [];
+
+  for (let row = rowStart; row < rowEnd; row++) {
+    cover.fill(0);
+    let minX = width;
+    let maxX = 0;
+
+    for (let s = 0; s < SUBSAMPLES; s++) {
+      const sy = row + (s + 0.5) / SUBSAMPLES;
+      while (next < edges.length && edges[next].y0 <= sy) active.push(edges[next++]);
+      active = active.filter((e) => e.y1 > sy);
+
+      const hits = [];
+      for (const e of active) {
+        if (e.y0 <= sy) hits.push({ x: e.x0 + (sy - e.y0) * e.slope, dir: e.dir });
+      }
+      hits.sort((a, b) => a.x - b.x);
+
+      let winding = 0;
+      for (let h = 0; h < hits.length - 1; h++) {
+        winding += hits[h].dir;
+        if (!winding) continue;
+        const xa = Math.max(0, hits[h].x);
+        const xb = Math.min(width, hits[h + 1].x);
+        if (xb <= xa) continue;
+
+        // Cobertura exacta en horizontal: píxeles parciales en los bordes del tramo
+        const ia = Math.floor(xa);
+        const ib = Math.floor(xb);
+        const w = 1 / SUBSAMPLES;
+        if (ia === ib) cover[ia] += (xb - xa) * w;
+        else {
+          cover[ia] += (ia + 1 - xa) * w;
+          for (let x = ia + 1; x < ib; x++) cover[x] += w;
+          if (ib < width) cover[ib] += (xb - ib) * w;
+        }
+        minX = Math.min(minX, ia);
+        maxX = Math.max(maxX, ib);
+      }
+    }
+
+    for (let x = minX; x <= Math.min(maxX, width - 1); x++) {
+      if (cover[x] > 0) blend(canvas, row * width + x, color, cover[x]);
+    }
+  }
+}
+
+function roundRectPolygon(x, y, w, h, r) {
+  r = Math.max(0, Math.min(r, w / 2, h / 2));
+  if (!r) return [[x, y], [x + w, y], [x + w, y + h], [x, y + h]];
+  const pts = [];
+  const corners = [
+    [x + w - r, y + r, -Math.PI / 2],
+    [x + w - r, y + h - r, 0],
+    [x + r, y + h - r, Math.PI / 2],
+    [x + r, y + r, Math.PI],
+  ];
+  const steps = Math.max(4, Math.ceil(r / 2));
+  for (const [cx, cy, from] of corners) {
+    for (let i = 0; i <= steps; i++) {
+      const t = from + (i / steps) * (Math.PI / 2);
+      pts.push([cx + r * Math.cos(t), cy + r * Math.sin(t)]);
+    }
+  }
+  return pts;
+}
+
+function circlePolygon(cx, cy, r) {
+  const steps = Math.max(16, Math.ceil(r));
+  return Array.from({ length: steps }, (_, i) => {
+    const t = (i / steps) * Math.PI * 2;
+    return [cx + r * Math.cos(t), cy + r * Math.sin(t)];
+  });
+}
+
+// Imagen RGBA escalada al rectángulo de destino (media de los píxeles de origen que caen en cada uno)
+function drawImage(canvas, img, dx, dy, dw, dh) {
+  const x0 = Math.max(0, Math.round(dx));
+  const y0 = Math.max(0, Math.round(dy));
+  const x1 = Math.min(canvas.width, Math.round(dx + dw));
+  const y1 = Math.min(canvas.height, Math.round(dy + dh));
+  const sx = img.width / dw;
+  const sy = img.height / dh;
+
+  for (let y = y0; y < y1; y++) {
+    const ta = Math.floor((y - dy) * sy);
+    const tb = Math.max(ta + 1, Math.min(img.height, Math.floor((y + 1 - dy) * sy)));
+    for (let x = x0; x < x1; x++) {
+      const la = Math.floor((x - dx) * sx);
+      const lb = Math.max(la + 1, Math.min(img.width, Math.floor((x + 1 - dx) * sx)));
+      let r = 0, g = 0, b = 0, a = 0, n = 0;
+      for (let v = ta; v < tb; v++) {
+        for (let u = la; u < lb; u++) {
+          const o = (v * img.width + u) * 4;
+          const alpha = img.data[o + 3];
+          r += img.data[o] * alpha;
+          g += img.data[o + 1] * alpha;
+          b += img.data[o + 2] * alpha;
+          a += alpha;
+          n++;
+        }
+      }
+      if (!a) continue;
+      blend(canvas, y * canvas.width + x, { r: r / a, g: g / a, b: b / a, a: a / n / 255 }, 1);
+    }
+  }
+}
+
+function decodeEntities(s) {
+  return String(s)
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&amp;/g, "&");
+}
+
+function attrsOf(source) {
+  const out = {};
+  for (const m of source.matchAll(/([\w:-]+)="([^"]*)"/g)) out[m[1]] = decodeEntities(m[2]);
+  return out;
+}
+
+const num = (v, fallback = 0) => {
+  const n = parseFloat(v);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+// La fuente cargada con el peso más cercano al pedido
+function fontFor(fonts, weight) {
+  const w = num(weight === "bold" ? 700 : weight, 400);
+  const best = Object.keys(fonts).map(Number).sort((a, b) => Math.abs(a - w) - Math.abs(b - w))[0];
+  return fonts[best];
+}
+
+/**
+ * svg (texto) -> { width, height, data } (RGB)
+ * fonts: { 500: font, 800: font } (ver font.js); images: { href: { width, height, data RGBA } }
+ */
+export function rasterizeSvg(svg, { fonts = {}, images = {} } = {}) {
+  const root = attrsOf(svg.match(/<svg\b([^>]*)>/i)?.[1] || "");
+  const canvas = createCanvas(Math.round(num(root.width, 1200)), Math.round(num(root.height, 630)));
+
+  const elements = /<(rect|circle|text|image)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/gi;
+  for (const [, tag, rawAttrs, content] of svg.matchAll(elements)) {
+    const a = attrsOf(rawAttrs);
+    const opacity = num(a.opacity, 1);
+    const fill = parseColor(a.fill ?? "#000", num(a["fill-opacity"], 1) * opacity);
+
+    if (tag === "rect") {
+      const [x, y, w, h, r] = [num(a.x), num(a.y), num(a.width), num(a.height), num(a.rx)];
+      fillPolygons(canvas, [roundRectPolygon(x, y, w, h, r)], fill);
+
+      // Trazo centrado en el borde: anillo entre dos rectángulos (el interior al revés)
+      const stroke = parseColor(a.stroke, num(a["stroke-opacity"], 1) * opacity);
+      const sw = num(a["stroke-width"], 1);
+      if (stroke && sw > 0) {
+        const outer = roundRectPolygon(x - sw / 2, y - sw / 2, w + sw, h + sw, r + sw / 2);
+        const inner = roundRectPolygon(x + sw / 2, y + sw / 2, w - sw, h - sw, Math.max(0, r - sw / 2)).reverse();
+        fillPolygons(canvas, [outer, inner], stroke);
+      }
+    } else if (tag === "circle") {
+      fillPolygons(canvas, [circlePolygon(num(a.cx), num(a.cy), num(a.r))], fill);
+    } else if (tag === "text") {
+      const font = fontFor(fonts, a["font-weight"]);
+      if (!font) continue;
+      const text = decodeEntities(String(content || "").replace(/<[^>]*>/g, ""));
+      const size = num(a["font-size"], 16);
+      const width = measureText(font, text, size);
+      const anchor = a["text-anchor"];
+      const x = num(a.x) - (anchor === "middle" ? width / 2 : anchor === "end" ? width : 0);
+      fillPolygons(canvas, textPolygons(font, text, size, x, num(a.y)), fill);
+    } else if (tag === "image") {
+      const img = images[a.href || a["xlink:href"]];
+      if (!img) continue;
+      // preserveAspectRatio="xMidYMid meet" (el de por defecto)
+      const [x, y, w, h] = [num(a.x), num(a.y), num(a.width), num(a.height)];
+      const k = Math.min(w / img.width, h / img.height);
+      drawImage(canvas, img, x + (w - img.width * k) / 2, y + (h - img.height * k) / 2, img.width * k, img.height * k);
+    }
+  }
+
+  return canvas;
+}
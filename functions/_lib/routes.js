@@ -0,0 +1,66 @@
+// functions/_lib/routes.js
+// URLs limpias del sitio (mismas reglas que assets/js/urls.js):
+//   /empresa/{slug}/                 -> plantilla /empresa/
+//   /puertos/{id}/                   -> plantilla /puertos/
+//   /servicios/{servicio}/[{puerto}/] -> plantilla /buscar/
+// y las 301 desde las URLs con query de siempre.
+
+import { loadTemplate, renderHead } from "./pages.js";
+
+const seg = (value) => encodeURIComponent(String(value));
+
+export function companyPath(company) {
+  const key = company?.slug || company?.id;
+  return key != null && key !== "" ? `/empresa/${seg(key)}/` : "/empresa/";
+}
+
+export function portPath(portId) {
+  return `/puertos/${seg(portId)}/`;
+}
+
+export function servicePath(serviceId, portId = "") {
+  return portId ? `/servicios/${seg(serviceId)}/${seg(portId)}/` : `/servicios/${seg(serviceId)}/`;
+}
+
+// Imagen para compartir (ver functions/og/)
+export function ogImagePath(type, id) {
+  return `/og/${seg(type)}/${seg(id)}.png`;
+}
+
+// Segmentos de un [[path]].js; "index.html" cuenta como la propia carpeta
+export function routeSegments(context) {
+  const raw = context.params?.path;
+  const parts = (Array.isArray(raw) ? raw : [raw]).filter(Boolean).map(String);
+  if (parts[parts.length - 1] === "index.html") parts.pop();
+  return parts;
+}
+
+// Destino absoluto conservando ?lang= (y lo que se pida en keep)
+function targetUrl(request, path, keep = []) {
+  const from = new URL(request.url);
+  const to = new URL(path, from);
+  for (const name of ["lang", ...keep]) {
+    const v = from.searchParams.get(name);
+    if (v) to.searchParams.set(name, v);
+  }
+  return to.href.replace(/%2C/gi, ",");
+}
+
+export function redirect(request, path, { status = 301, keep = [] } = {}) {
+  return Response.redirect(targetUrl(request, path, keep), status);
+}
+
+// /empresa/x -> /empresa/x/ (una sola URL por página)
+export function needsTrailingSlash(request) {
+  return !new URL(request.url).pathname.endsWith("/");
+}
+
+// Sirve la plantilla estática de una sección en otra ruta (con <base href>, ver loadTemplate).
+// Con status 404 (id que no existe) la página sale además con noindex.
+export async function serveTemplate(context, templatePath, { status = 200 } = {}) {
+  let page = await loadTemplate(context, templatePath);
+  if (page == null) return context.next();
+  if (status === 404) page = renderHead(page, { robots: "noindex,follow" });
+
+  return new Response(page, { status, headers: { "Content-Type": "text/html; charset=utf-8" } });
+}
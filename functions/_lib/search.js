@@ -0,0 +1,246 @@
+// functions/_lib/search.js
+// Filtrado, orden y paginación de empresas (mismo contrato que dal.js).
+
+import { resolveLang, pickLocalized } from "./i18n.js";
+
+export function normalize(str) {
+  return (str || "")
+    .toString()
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "") // remove accents
+    .trim();
+}
+
+export function trDb(json, lang, fallback = "") {
+  if (!json) return fallback;
+  if (typeof json === "string") return json;
+  return pickLocalized(json, lang) ?? fallback;
+}
+
+// Nombre/descripción localizados (si la fila trae *_i18n)
+export function localizeRow(row, lang) {
+  return {
+    ...row,
+    name: trDb(row.name_i18n, lang, row.name || ""),
+    description: trDb(row.description_i18n, lang, row.description || ""),
+  };
+}
+
+export function companyPortIds(company) {
+  const ids = [];
+  if (company.port_id != null) ids.push(String(company.port_id));
+  if (Array.isArray(company.secondary_port_ids)) ids.push(...company.secondary_port_ids.map(String));
+  return ids;
+}
+
+// servicio/puerto pueden llegar como array o como string
+function toList(value) {
+  if (Array.isArray(value)) return value.map(String).filter(Boolean);
+  return value ? [String(value)] : [];
+}
+
+export function hasValidSearch(filters) {
+  const q = (filters.q || "").trim();
+  return !!(
+    toList(filters.servicio).length ||
+    toList(filters.puerto).length ||
+    filters.area ||
+    filters.region ||
+    q.length >= 3
+  );
+}
+
+/**
+ * Filtros estructurados (el texto libre q se resuelve aparte con rankCompanies).
+ * servicio: uno o varios; filters.match === "all" exige todos, si no basta con uno.
+ * puerto: uno o varios; basta con operar en cualquiera de ellos.
+ * lookups.portsById (Map) es necesario para filtrar por zona/región:
+ * una empresa pertenece a la zona de cualquiera de sus puertos (principal o secundarios).
+ */
+export function filterCompanies(companies, filters, lookups = {}) {
+  const sWanted = toList(filters.servicio);
+  const matchAll = filters.match === "all";
+  const pWanted = toList(filters.puerto);
+  const aWanted = filters.area ? String(filters.area) : "";
+  const rWanted = filters.region ? String(filters.region) : "";
+
+  const portsOf = (c) =>
+    companyPortIds(c)
+      .map((pid) => lookups.portsById?.get(pid))
+      .filter(Boolean);
+
+  return companies.filter((c) => {
+    if (sWanted.length) {
+      const ids = Array.isArray(c.service_ids) ? c.service_ids.map(String) : [];
+      const ok = matchAll ? sWanted.every((s) => ids.includes(s)) : sWanted.some((s) => ids.includes(s));
+      if (!ok) return false;
+    }
+
+    if (pWanted.length) {
+      const ids = companyPortIds(c);
+      if (!pWanted.some((p) => ids.includes(p))) return false;
+    }
+
+    if (aWanted && !portsOf(c).some((p) => String(p.area_id ?? "") === aWanted)) return false;
+
+    if (rWanted) {
+      const inRegion =
+        String(c.region_id ?? "") === rWanted ||
+        portsOf(c).some((p) => String(p.region_id ?? "") === rWanted);
+      if (!inRegion) return false;
+    }
+
+    return true;
+  });
+}
+
+function countBy(companies, keysOf) {
+  const counts = {};
+  for (const c of companies) {
+    for (const key of new Set(keysOf(c))) {
+      if (key == null || key === "") continue;
+      counts[key] = (counts[key] || 0) + 1;
+    }
+  }
+  return counts;
+}
+
+/**
+ * Conteos por faceta: cuántas empresas daría cada servicio / puerto / zona.
+ * Cada faceta se cuenta sin su propio filtro (el resto sí se aplica), así el número
+ * es lo que saldría al elegir esa opción. Con match=all los servicios se cuentan
+ * sobre los resultados actuales, porque añadir uno más solo puede reducirlos.
+ * companies: ya filtradas por q si lo hay. Necesita lookups.portsById para las zonas.
+ */
+export function facetCounts(companies, filters, lookups = {}) {
+  const without = (key, empty) => filterCompanies(companies, { ...filters, [key]: empty }, lookups);
+  const serviceBase = filters.match === "all" ? filterCompanies(companies, filters, lookups) : without("servicio", []);
+
+  return {
+    servicio: countBy(serviceBase, (c) => (Array.isArray(c.service_ids) ? c.service_ids.map(String) : [])),
+    puerto: countBy(without("puerto", []), companyPortIds),
+    area: countBy(without("area", ""), (c) =>
+      companyPortIds(c).map((pid) => {
+        const areaId = lookups.portsById?.get(pid)?.area_id;
+        return areaId == null ? null : String(areaId);
+      })
+    ),
+  };
+}
+
+// Destacadas primero, luego por nombre
+export function sortCompanies(companies, lang) {
+  const locale = resolveLang(lang);
+  return companies.slice().sort((a, b) => {
+    const fa = Boolean(a.featured ?? a.destacada);
+    const fb = Boolean(b.featured ?? b.destacada);
+    if (fa !== fb) return fa ? -1 : 1;
+    return (a.name || "").localeCompare(b.name || "", locale, { sensitivity: "base" });
+  });
+}
+
+// ?sort=: relevance (solo con q) | name | featured | distance | recent
+export const SORTS = ["relevance", "name", "featured", "distance", "recent"];
+
+export function resolveSort(sort, { q = "" } = {}) {
+  const s = SORTS.includes(sort) ? sort : "";
+  if (!s || (s === "relevance" && !q)) return q ? "relevance" : "featured";
+  return s;
+}
+
+// Distancia en km entre dos puntos {lat, lon}
+export function haversineKm(a, b) {
+  const R = 6371;
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+function hasCoords(p) {
+  return Boolean(p) && p.lat != null && p.lon != null && Number.isFinite(Number(p.lat)) && Number.isFinite(Number(p.lon));
+}
+
+// Km desde el puerto de referencia al más cercano de los puertos de la empresa (null si no hay coordenadas)
+export function companyDistanceKm(company, nearPort, portsById) {
+  if (!hasCoords(nearPort)) return null;
+
+  let best = null;
+  for (const pid of companyPortIds(company)) {
+    const p = portsById?.get(pid);
+    if (!hasCoords(p)) continue;
+    const d = haversineKm({ lat: Number(nearPort.lat), lon: Number(nearPort.lon) }, { lat: Number(p.lat), lon: Number(p.lon) });
+    if (best === null || d < best) best = d;
+  }
+  return best;
+}
+
+/**
+ * Reordena una lista ya ordenada (por relevancia o destacadas+nombre).
+ * El sort es estable: el orden previo decide los empates.
+ *   name      A–Z
+ *   featured  destacadas primero
+ *   distance  más cerca de opts.nearPort (sin coordenadas, al final)
+ *   recent    created_at más reciente; sin fecha, las últimas añadidas al JSON (opts.addedOrder)
+ */
+export function orderCompanies(list, sort, { lang = "es", portsById, nearPort, addedOrder } = {}) {
+  const locale = resolveLang(lang);
+  const out = list.slice();
+
+  if (sort === "name") {
+    out.sort((a, b) => (a.name || "").localeCompare(b.name || "", locale, { sensitivity: "base" }));
+  } else if (sort === "featured") {
+    out.sort((a, b) => Number(Boolean(b.featured ?? b.destacada)) - Number(Boolean(a.featured ?? a.destacada)));
+  } else if (sort === "distance") {
+    const dist = new Map(out.map((c) => [c, companyDistanceKm(c, nearPort, portsById)]));
+    out.sort((a, b) => (dist.get(a) ?? Infinity) - (dist.get(b) ?? Infinity));
+  } else if (sort === "recent") {
+    const time = (c) => {
+      const t = Date.parse(c.created_at || "");
+      return Number.isFinite(t) ? t : 0;
+    };
+    out.sort((a, b) => time(b) - time(a) || (addedOrder?.get(b.id) ?? -1) - (addedOrder?.get(a.id) ?? -1));
+  }
+
+  return out;
+}
+
+export function paginate(list, page, pageSize) {
+  const total = list.length;
+  const lastPage = Math.max(1, Math.ceil(total / pageSize));
+  const safePage = Math.min(page, lastPage);
+  const start = (safePage - 1) * pageSize;
+
+  return {
+    items: list.slice(start, start + pageSize),
+    total,
+    page: safePage,
+    pageSize,
+  };
+}
+
+// Índice mínimo (mode=lite): conteos por puerto/servicio
+export function toLite(c) {
+  return {
+    id: c.id,
+    slug: c.slug,
+    name: c.name,
+    service_ids: c.service_ids || [],
+    port_id: c.port_id ?? null,
+    secondary_port_ids: c.secondary_port_ids || [],
+    region_id: c.region_id ?? null,
+  };
+}
+
+// Slim card: lo que necesita renderCompanyCard
+export function toCard(c) {
+  return {
+    ...toLite(c),
+    logo: c.logo || "",
+    email: c.email || "",
+    website: c.website || "",
+    featured: Boolean(c.featured ?? c.destacada),
+  };
+}
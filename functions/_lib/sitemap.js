@@ -0,0 +1,194 @@
+// functions/_lib/sitemap.js
+// Sitemaps por tipo, paginados, para el índice /sitemap.xml y sus hijos /sitemaps/{tipo}-{n}.xml.
+// Las landings de servicio (solo, por puerto y por zona) solo entran si tienen empresas.
+// Cada URL lleva sus alternativas es/en (xhtml:link) y lastmod real (updated_at de lo que muestra);
+// sin fecha conocida no se pone (una fecha "ahora" cambiaría el XML en cada petición y el ETag no serviría).
+
+import { loadTable } from "./supabase.js";
+import { lastModifiedOf } from "./http.js";
+import { companyPath, portPath, servicePath } from "./routes.js";
+import { LANGS, DEFAULT_LANG } from "./i18n.js";
+
+export const SITE_URL = "https://nauticards.es";
+
+// Sin datos (Supabase caído): 503 con Retry-After, para que los buscadores lo reintenten
+// en vez de tratarlo como un error permanente
+export function sitemapUnavailable() {
+  return new Response("Service unavailable", {
+    status: 503,
+    headers: { "Content-Type": "text/plain; charset=utf-8", "Cache-Control": "no-store", "Retry-After": "3600" },
+  });
+}
+
+// Límite del protocolo: 50.000 URLs (y 50 MB) por sitemap
+export const MAX_URLS = 50000;
+
+// Orden en el índice
+export const SITEMAP_TYPES = ["paginas", "empresas", "puertos", "servicios"];
+
+// Landings con menos empresas que esto no entran (saldrían vacías o casi, y buscarPage
+// de assets/js/seo.js, vía applyPageSEO, pone noindex con total 0). Se puede subir con SITEMAP_MIN_COMPANIES.
+export const MIN_COMPANIES = 1;
+
+function minCompanies(env) {
+  const n = Number.parseInt(env?.SITEMAP_MIN_COMPANIES ?? "", 10);
+  return Number.isFinite(n) && n > 0 ? n : MIN_COMPANIES;
+}
+
+export function xmlEscape(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function isoOf(...rows) {
+  return lastModifiedOf(...rows)?.toISOString() || "";
+}
+
+// Set: una empresa cuenta una vez aunque tenga varios puertos en la misma zona
+function add(map, key, value) {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(value);
+}
+
+// Puerto principal + secundarios, sin repetir
+function portIdsOf(company) {
+  const ids = [];
+  if (company.port_id != null) ids.push(String(company.port_id));
+  for (const id of company.secondary_port_ids || []) {
+    if (!ids.includes(String(id))) ids.push(String(id));
+  }
+  return ids;
+}
+
+/**
+ * Carga los datos y devuelve { lastModified, entries: { tipo: [{ path, lastmod }] } }.
+ */
+export async function loadSitemapEntries(context) {
+  const [companies, services, ports] = await Promise.all([
+    loadTable(context, "companies"),
+    loadTable(context, "services"),
+    loadTable(context, "ports"),
+  ]);
+
+  const lastModified = lastModifiedOf(companies, services, ports);
+  const siteLastmod = lastModified ? lastModified.toISOString() : "";
+  const min = minCompanies(context.env);
+
+  const areaOfPort = new Map(ports.map((p) => [String(p.id), p.area_id == null ? "" : String(p.area_id)]));
+
+  // Empresas por puerto, servicio, servicio+puerto y servicio+zona (puerto principal o secundario):
+  // cuántas hay decide si la landing entra y su updated_at más reciente es su lastmod
+  const byService = new Map();
+  const byPort = new Map();
+  const byServicePort = new Map();
+  const byServiceArea = new Map();
+  for (const c of companies) {
+    const portIds = portIdsOf(c);
+    const areaIds = [...new Set(portIds.map((pid) => areaOfPort.get(pid)).filter(Boolean))];
+    for (const pid of portIds) add(byPort, pid, c);
+    for (const sid of (c.service_ids || []).map(String)) {
+      add(byService, sid, c);
+      for (const pid of portIds) add(byServicePort, `${sid}|${pid}`, c);
+      for (const aid of areaIds) add(byServiceArea, `${sid}|${aid}`, c);
+    }
+  }
+
+  const enough = (set) => (set?.size || 0) >= min;
+
+  const paginas = ["/", "/buscar/", "/servicios/", "/puertos/"].map((path) => ({ path, lastmod: siteLastmod }));
+
+  const empresas = companies.map((c) => ({ path: companyPath(c), lastmod: isoOf(c) }));
+
+  const puertos = ports.map((p) => ({
+    path: portPath(p.id),
+    lastmod: isoOf(p, [...(byPort.get(String(p.id)) || [])]),
+  }));
+
+  // Solo las landings con empresas: /servicios/{s}/, /servicios/{s}/{p}/ y buscar/?servicio={s}&area={a}
+  const areaIds = [...new Set(areaOfPort.values())].filter(Boolean);
+  const servicios = [];
+  for (const s of services) {
+    const sid = String(s.id);
+    const all = byService.get(sid);
+    if (!enough(all)) continue;
+    servicios.push({ path: servicePath(sid), lastmod: isoOf(s, [...all]) });
+
+    for (const p of ports) {
+      const found = byServicePort.get(`${sid}|${p.id}`);
+      if (enough(found)) servicios.push({ path: servicePath(sid, p.id), lastmod: isoOf(s, p, [...found]) });
+    }
+
+    for (const aid of areaIds) {
+      const found = byServiceArea.get(`${sid}|${aid}`);
+      if (!enough(found)) continue;
+      const qs = new URLSearchParams({ servicio: sid, area: aid });
+      servicios.push({ path: `/buscar/?${qs}`, lastmod: isoOf(s, [...found]) });
+    }
+  }
+
+  return { lastModified, entries: { paginas, empresas, puertos, servicios } };
+}
+
+// [{ type, page, entries }] con como mucho MAX_URLS entradas cada uno
+export function splitSitemaps(entries, max = MAX_URLS) {
+  const out = [];
+  for (const type of SITEMAP_TYPES) {
+    const list = entries[type] || [];
+    for (let i = 0; i < list.length; i += max) {
+      out.push({ type, page: i / max + 1, entries: list.slice(i, i + max) });
+    }
+  }
+  return out;
+}
+
+export function sitemapName({ type, page }) {
+  return `${type}-${page}.xml`;
+}
+
+// ?lang= delante, como las canónicas del cliente (withLang en assets/js/seo.js)
+function alternateUrl(path, lang) {
+  const u = new URL(path, SITE_URL);
+  if (lang !== DEFAULT_LANG) u.search = new URLSearchParams([["lang", lang], ...u.searchParams]).toString();
+  return u.href;
+}
+
+export function urlsetXml(entries) {
+  const body = entries
+    .map((e) => {
+      const loc = alternateUrl(e.path, DEFAULT_LANG);
+      const alternates = [...LANGS.map((lang) => [lang, alternateUrl(e.path, lang)]), ["x-default", loc]];
+      return `<url>
+  <loc>${xmlEscape(loc)}</loc>${e.lastmod ? `
+  <lastmod>${e.lastmod}</lastmod>` : ""}
+${alternates.map(([lang, href]) => `  <xhtml:link rel="alternate" hreflang="${lang}" href="${xmlEscape(href)}"/>`).join("\n")}
+</url>`;
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${body}
+</urlset>`;
+}
+
+// lastmod de cada hijo = el más reciente de sus URLs
+export function sitemapIndexXml(sitemaps) {
+  const body = sitemaps
+    .map((s) => {
+      const lastmod = s.entries.reduce((max, e) => (e.lastmod > max ? e.lastmod : max), "");
+      return `<sitemap>
+  <loc>${xmlEscape(new URL(`/sitemaps/${sitemapName(s)}`, SITE_URL).href)}</loc>${lastmod ? `
+  <lastmod>${lastmod}</lastmod>` : ""}
+</sitemap>`;
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${body}
+</sitemapindex>`;
+}
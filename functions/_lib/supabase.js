@@ -0,0 +1,126 @@
+// functions/_lib/supabase.js
+// Acceso a datos compartido por las Pages Functions.
+// Con SUPABASE_URL configurado lee de Supabase (REST); si no, usa los JSON de /data/.
+
+export function hasSupabase(env) {
+  return Boolean(env?.SUPABASE_URL && (env.SUPABASE_SERVICE_ROLE_KEY || env.SUPABASE_ANON_KEY));
+}
+
+export async function sbGet(env, pathAndQuery) {
+  const base = env.SUPABASE_URL;
+  const key = env.SUPABASE_SERVICE_ROLE_KEY || env.SUPABASE_ANON_KEY;
+
+  const url = `${base}/rest/v1/${pathAndQuery}`;
+
+  const r = await fetch(url, {
+    headers: {
+      apikey: key,
+      Authorization: `Bearer ${key}`,
+    },
+  });
+
+  if (!r.ok) {
+    const body = await r.text();
+    console.error("Supabase error:", body);
+    return [];
+  }
+
+  return r.json();
+}
+
+// Escrituras: necesitan la service role (la anon key no pasa las políticas RLS).
+// A diferencia de sbGet, un error aquí lanza: no se puede dar por guardado algo que no lo está.
+export function canWrite(env) {
+  return Boolean(env?.SUPABASE_URL && env.SUPABASE_SERVICE_ROLE_KEY);
+}
+
+async function sbWrite(env, method, pathAndQuery, body) {
+  const key = env.SUPABASE_SERVICE_ROLE_KEY;
+
+  const r = await fetch(`${env.SUPABASE_URL}/rest/v1/${pathAndQuery}`, {
+    method,
+    headers: {
+      apikey: key,
+      Authorization: `Bearer ${key}`,
+      "Content-Type": "application/json",
+      Prefer: "return=representation",
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!r.ok) {
+    const text = await r.text();
+    console.error("Supabase write error:", text);
+    throw new Error(`Supabase ${method} ${pathAndQuery.split("?")[0]} -> HTTP ${r.status}`);
+  }
+
+  return r.json();
+}
+
+export function sbInsert(env, table, row) {
+  return sbWrite(env, "POST", table, row).then((rows) => rows?.[0] ?? null);
+}
+
+// match: { campo: valor } -> campo=eq.valor
+function whereOf(match) {
+  return Object.entries(match)
+    .map(([k, v]) => `${k}=eq.${encodeURIComponent(String(v))}`)
+    .join("&");
+}
+
+export function sbUpdate(env, table, match, patch) {
+  return sbWrite(env, "PATCH", `${table}?${whereOf(match)}`, patch);
+}
+
+export function sbDelete(env, table, match) {
+  return sbWrite(env, "DELETE", `${table}?${whereOf(match)}`);
+}
+
+/**
+ * Lee /data/{name}.json desde los assets estáticos del propio sitio.
+ * Devuelve fallback si el fichero no existe.
+ */
+export async function loadStatic({ request, env }, name, fallback = []) {
+  const url = new URL(`/data/${name}.json`, request.url);
+  const r = env?.ASSETS ? await env.ASSETS.fetch(url) : await fetch(url);
+
+  if (!r.ok) {
+    console.error(`Local data error: /data/${name}.json -> HTTP ${r.status}`);
+    return fallback;
+  }
+
+  return r.json();
+}
+
+// Los JSON locales no tienen id en companies: el slug hace de id
+function withIds(table, rows) {
+  if (table !== "companies") return rows;
+  return rows.map((c) => (c.id != null ? c : { ...c, id: c.slug }));
+}
+
+/**
+ * Carga una tabla completa (Supabase o fallback local).
+ * Siempre devuelve un array.
+ */
+export async function loadTable(context, table, select = "*") {
+  const rows = hasSupabase(context.env)
+    ? await sbGet(context.env, `${table}?select=${select}`)
+    : await loadStatic(context, table);
+
+  return withIds(table, Array.isArray(rows) ? rows : []);
+}
+
+/**
+ * Filas de una tabla cuyo campo coincide exactamente con un valor.
+ * En Supabase el filtro va en la query (eq.); en local se filtra en memoria.
+ */
+export async function loadWhere(context, table, field, value) {
+  if (hasSupabase(context.env)) {
+    const q = `${table}?select=*&${field}=eq.${encodeURIComponent(String(value))}`;
+    const rows = await sbGet(context.env, q);
+    return withIds(table, Array.isArray(rows) ? rows : []);
+  }
+
+  const rows = await loadTable(context, table);
+  return rows.filter((r) => r?.[field] != null && String(r[field]) === String(value));
+}
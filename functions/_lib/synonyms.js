@@ -0,0 +1,89 @@
+// functions/_lib/synonyms.js
+// Vocabulario de búsqueda: data/diccionario.json
+//   { "es": { "<service_id>": ["motor", "fueraborda", ...] }, "en": { ... } }
+// Se edita por idioma. Los términos de "es" valen también en los demás idiomas
+// (mucha gente busca "velas" con la web en inglés).
+
+import { loadStatic } from "./supabase.js";
+import { normalize } from "./search.js";
+
+// "Pintura  de casco!" -> "pintura de casco"
+function phraseNorm(str) {
+  return normalize(str).split(/[^a-z0-9]+/).filter(Boolean).join(" ");
+}
+
+/**
+ * Vocabulario listo para usar:
+ *   termsByService: Map<service_id, string[]>  (términos normalizados)
+ *   phrases: [{ norm, term, serviceId }]       (las más largas primero)
+ */
+export function buildVocabulary(dict, lang = "es", servicesById = null) {
+  const base = dict?.es || {};
+  const local = (lang !== "es" && dict?.[lang]) || {};
+
+  const termsByService = new Map();
+  const phrases = [];
+
+  const add = (serviceId, term) => {
+    const norm = phraseNorm(term);
+    if (!norm) return;
+
+    const list = termsByService.get(serviceId) || [];
+    if (!list.includes(norm)) list.push(norm);
+    termsByService.set(serviceId, list);
+
+    if (!phrases.some((p) => p.norm === norm && p.serviceId === serviceId)) {
+      phrases.push({ norm, term, serviceId });
+    }
+  };
+
+  for (const terms of [local, base]) {
+    for (const [id, list] of Object.entries(terms)) {
+      for (const term of Array.isArray(list) ? list : []) add(id, term);
+    }
+  }
+
+  // El nombre del servicio también cuenta como término ("Velería" -> veleria)
+  for (const [id, s] of servicesById || []) {
+    if (s?.name) add(id, s.name);
+  }
+
+  phrases.sort((a, b) => b.norm.length - a.norm.length);
+  return { termsByService, phrases };
+}
+
+export async function loadVocabulary(context, lang = "es", servicesById = null) {
+  try {
+    const dict = await loadStatic(context, "diccionario", {});
+    return buildVocabulary(dict, lang, servicesById);
+  } catch (err) {
+    console.error("diccionario load error:", err);
+    return buildVocabulary({}, lang, servicesById);
+  }
+}
+
+/**
+ * Servicios que aparecen nombrados en la consulta, como frase completa.
+ * covered = no queda nada más en la consulta (todo eran términos del vocabulario),
+ * así que el cliente puede cambiar q por el filtro servicio sin perder nada.
+ */
+export function matchServices(q, vocabulary, { stopwords = new Set() } = {}) {
+  let rest = ` ${phraseNorm(q)} `;
+  const found = [];
+
+  for (const p of vocabulary?.phrases || []) {
+    const needle = ` ${p.norm} `;
+    if (!rest.includes(needle)) continue;
+
+    // Un término puede ser de varios servicios ("diesel"): se suman todos antes de consumirlo
+    for (const other of vocabulary.phrases) {
+      if (other.norm === p.norm && !found.some((f) => f.id === other.serviceId)) {
+        found.push({ id: other.serviceId, term: other.term });
+      }
+    }
+    rest = rest.split(needle).join(" ");
+  }
+
+  const leftover = rest.split(" ").filter((t) => t.length >= 2 && !stopwords.has(t));
+  return { services: found, covered: found.length > 0 && leftover.length === 0 };
+}
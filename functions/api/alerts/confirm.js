@@ -0,0 +1,74 @@
+// functions/api/alerts/confirm.js
+// GET  /api/alerts/confirm?token=[&lang=]  -> página con un botón para confirmar (no cambia nada:
+//                                             los escáneres de enlaces del correo abren los GET solos)
+// POST /api/alerts/confirm?token=          -> activa la búsqueda guardada (doble opt-in) y lo confirma
+
+import { confirmSavedSearch, alertPage } from "../../_lib/alerts.js";
+import { getLangParam } from "../../_lib/http.js";
+import { resolveLang } from "../../_lib/i18n.js";
+
+const COPY = {
+  es: {
+    title: "Confirma tu alerta",
+    ask: "Pulsa el botón para empezar a recibir un email cuando aparezcan empresas nuevas para esta búsqueda.",
+    button: "Confirmar la alerta",
+    titleDone: "Alerta activada",
+    done: "Te escribiremos cuando aparezca una empresa nueva que encaje con tu búsqueda.",
+    titleFailed: "No se ha activado la alerta",
+    unknown: "Este enlace de confirmación no es válido o la alerta ya no existe.",
+    error: "No hemos podido activar la alerta. Inténtalo de nuevo más tarde.",
+    back: "Volver a NautiCards",
+  },
+  en: {
+    title: "Confirm your alert",
+    ask: "Press the button to start getting an email when new companies appear for this search.",
+    button: "Confirm the alert",
+    titleDone: "Alert activated",
+    done: "We'll email you when a new company matching your search appears.",
+    titleFailed: "The alert was not activated",
+    unknown: "This confirmation link is not valid or the alert no longer exists.",
+    error: "We couldn't activate the alert. Please try again later.",
+    back: "Back to NautiCards",
+  },
+  ca: {
+    title: "Confirma la teva alerta",
+    ask: "Prem el botó per començar a rebre un correu quan apareguin empreses noves per a aquesta cerca.",
+    button: "Confirmar l'alerta",
+    titleDone: "Alerta activada",
+    done: "T'escriurem quan aparegui una empresa nova que encaixi amb la teva cerca.",
+    titleFailed: "No s'ha activat l'alerta",
+    unknown: "Aquest enllaç de confirmació no és vàlid o l'alerta ja no existeix.",
+    error: "No hem pogut activar l'alerta. Torna-ho a provar més tard.",
+    back: "Tornar a NautiCards",
+  },
+};
+
+function tokenOf(url) {
+  return (url.searchParams.get("token") || "").trim();
+}
+
+export function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const lang = getLangParam(url);
+  const t = COPY[lang];
+  if (!tokenOf(url)) return alertPage(lang, { title: t.titleFailed, message: t.unknown, back: t.back, status: 404 });
+  return alertPage(lang, { title: t.title, message: t.ask, form: t.button });
+}
+
+export async function onRequestPost(context) {
+  const url = new URL(context.request.url);
+  let lang = getLangParam(url);
+
+  try {
+    const search = await confirmSavedSearch(context, tokenOf(url));
+    if (search?.lang) lang = resolveLang(search.lang);
+    const t = COPY[lang];
+    return search
+      ? alertPage(lang, { title: t.titleDone, message: t.done, back: t.back })
+      : alertPage(lang, { title: t.titleFailed, message: t.unknown, back: t.back, status: 404 });
+  } catch (err) {
+    console.error("alerts confirm error:", err);
+    const t = COPY[lang];
+    return alertPage(lang, { title: t.titleFailed, message: t.error, back: t.back, status: 500 });
+  }
+}
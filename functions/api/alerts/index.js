@@ -0,0 +1,55 @@
+// functions/api/alerts/index.js
+// POST /api/alerts { email, filters, lang } -> guarda la búsqueda de Buscar con aviso por email
+//   filters: forma de getQueryParams (q, servicio, puerto, match, area, region); sort/page se ignoran
+//   La búsqueda queda 'pending' y sale un email con el enlace de confirmación (_lib/alerts.js):
+//   hasta que se confirma no se envían alertas.
+//   201 -> { id, created: true, status }   200 -> { id, created: false, status } (ya existía la misma)
+//   400 -> invalid_json | invalid_email | missing_filters   409 -> too_many
+//   429 -> rate_limited (demasiadas altas desde la misma IP; Retry-After)   500 -> save_failed
+// El token no se devuelve: solo viaja en los emails. CORS solo para la propia web.
+
+import { createSavedSearch, normalizeSavedFilters, isEmail } from "../../_lib/alerts.js";
+import { hasValidSearch } from "../../_lib/search.js";
+import { createMailTransport } from "../../_lib/mail.js";
+import { json, corsPreflight, siteCorsHeaders } from "../../_lib/http.js";
+import { resolveLang } from "../../_lib/i18n.js";
+
+export async function onRequestPost(context) {
+  const { env, request } = context;
+  const headers = siteCorsHeaders(context);
+  const fail = (status, error, extra = {}) => json({ error }, { status, headers: { ...headers, ...extra } });
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return fail(400, "invalid_json");
+  }
+
+  const email = String(body?.email || "").trim();
+  if (!isEmail(email)) return fail(400, "invalid_email");
+
+  const filters = normalizeSavedFilters(body?.filters || {});
+  if (!hasValidSearch(filters)) return fail(400, "missing_filters");
+
+  const lang = resolveLang(body?.lang);
+
+  try {
+    const result = await createSavedSearch(context, { email, filters, lang }, {
+      transport: createMailTransport(env),
+      siteUrl: env.SITE_URL || new URL(request.url).origin,
+    });
+    if (result.error === "rate_limited") return fail(429, result.error, { "Retry-After": "3600" });
+    if (result.error) return fail(409, result.error);
+
+    const { search, created } = result;
+    return json({ id: search.id, created, status: search.status || "active" }, { status: created ? 201 : 200, headers });
+  } catch (err) {
+    console.error("alerts save error:", err);
+    return fail(500, "save_failed");
+  }
+}
+
+export function onRequestOptions(context) {
+  return corsPreflight(siteCorsHeaders(context));
+}
@@ -0,0 +1,39 @@
+// functions/api/alerts/run.js
+// POST /api/alerts/run  (Authorization: Bearer $ALERTS_CRON_SECRET)
+//   Lanza a mano la pasada de alertas (la misma que workers/alerts-cron.js hace cada día).
+//   -> { checked, queued, sent, failed, transport }
+//   Transporte según MAIL_TRANSPORT (ver _lib/mail.js); en local, console o file.
+
+import { runSavedSearchAlerts } from "../../_lib/alerts.js";
+import { createMailTransport } from "../../_lib/mail.js";
+import { json, jsonError } from "../../_lib/http.js";
+
+// Compara los SHA-256 de los dos valores byte a byte sin cortar en el primero distinto:
+// el tiempo no dice cuánto del secreto se ha acertado (ni su longitud)
+async function sameSecret(a, b) {
+  const digest = (s) => crypto.subtle.digest("SHA-256", new TextEncoder().encode(s));
+  const [x, y] = (await Promise.all([digest(a), digest(b)])).map((d) => new Uint8Array(d));
+  let diff = 0;
+  for (let i = 0; i < x.length; i++) diff |= x[i] ^ y[i];
+  return diff === 0;
+}
+
+export async function onRequestPost(context) {
+  const { env, request } = context;
+
+  // Sin secreto configurado el endpoint queda desactivado
+  const secret = env.ALERTS_CRON_SECRET || "";
+  const auth = request.headers.get("Authorization") || "";
+  if (!secret || !(await sameSecret(auth, `Bearer ${secret}`))) return jsonError(401, "unauthorized");
+
+  try {
+    const summary = await runSavedSearchAlerts(context, {
+      transport: createMailTransport(env),
+      siteUrl: env.SITE_URL || new URL(request.url).origin,
+    });
+    return json(summary);
+  } catch (err) {
+    console.error("alerts run error:", err);
+    return jsonError(500, "run_failed");
+  }
+}
@@ -0,0 +1,87 @@
+// functions/api/alerts/unsubscribe.js
+// GET  /api/alerts/unsubscribe?token=[&lang=]  -> página con un botón para darse de baja (no cambia nada:
+//                                                 los escáneres de enlaces del correo abren los GET solos)
+// POST /api/alerts/unsubscribe?token=           -> da de baja la alerta: desde ese botón (responde con una
+//                                                 página) o en un clic desde el cliente de correo
+//                                                 (List-Unsubscribe-Post, responde sin cuerpo)
+
+import { unsubscribeSavedSearch, alertPage } from "../../_lib/alerts.js";
+import { getLangParam } from "../../_lib/http.js";
+import { resolveLang } from "../../_lib/i18n.js";
+
+const COPY = {
+  es: {
+    ask: "¿Cancelar la alerta?",
+    askText: "Dejarás de recibir emails de esta búsqueda guardada.",
+    button: "Darme de baja",
+    title: "Alerta cancelada",
+    titleFailed: "No se ha cancelado la alerta",
+    done: "No volverás a recibir emails de esta búsqueda guardada.",
+    unknown: "Este enlace de baja no es válido o la alerta ya no existe.",
+    error: "No hemos podido cancelar la alerta. Inténtalo de nuevo más tarde.",
+    back: "Volver a NautiCards",
+  },
+  en: {
+    ask: "Cancel the alert?",
+    askText: "You'll stop receiving emails for this saved search.",
+    button: "Unsubscribe",
+    title: "Alert cancelled",
+    titleFailed: "The alert was not cancelled",
+    done: "You won't receive any more emails for this saved search.",
+    unknown: "This unsubscribe link is not valid or the alert no longer exists.",
+    error: "We couldn't cancel the alert. Please try again later.",
+    back: "Back to NautiCards",
+  },
+  ca: {
+    ask: "Vols cancel·lar l'alerta?",
+    askText: "Deixaràs de rebre correus d'aquesta cerca desada.",
+    button: "Donar-me de baixa",
+    title: "Alerta cancel·lada",
+    titleFailed: "No s'ha cancel·lat l'alerta",
+    done: "No tornaràs a rebre correus d'aquesta cerca desada.",
+    unknown: "Aquest enllaç de baixa no és vàlid o l'alerta ja no existeix.",
+    error: "No hem pogut cancel·lar l'alerta. Torna-ho a provar més tard.",
+    back: "Tornar a NautiCards",
+  },
+};
+
+function page(lang, title, message, status) {
+  return alertPage(lang, { title, message, back: COPY[lang].back, status });
+}
+
+async function unsubscribe(context) {
+  const url = new URL(context.request.url);
+  const token = (url.searchParams.get("token") || "").trim();
+
+  try {
+    const search = await unsubscribeSavedSearch(context, token);
+    return { search, ok: Boolean(search), lang: search?.lang ? resolveLang(search.lang) : getLangParam(url) };
+  } catch (err) {
+    console.error("alerts unsubscribe error:", err);
+    return { search: null, ok: false, error: true, lang: getLangParam(url) };
+  }
+}
+
+// RFC 8058: el cliente de correo manda List-Unsubscribe=One-Click y no mira la respuesta
+async function isOneClick(request) {
+  const body = await request.text().catch(() => "");
+  return new URLSearchParams(body).get("List-Unsubscribe") === "One-Click";
+}
+
+export function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const lang = getLangParam(url);
+  const t = COPY[lang];
+  if (!(url.searchParams.get("token") || "").trim()) return page(lang, t.titleFailed, t.unknown, 404);
+  return alertPage(lang, { title: t.ask, message: t.askText, form: t.button });
+}
+
+export async function onRequestPost(context) {
+  const oneClick = await isOneClick(context.request);
+  const { ok, error, lang } = await unsubscribe(context);
+  if (oneClick) return new Response(null, { status: error ? 500 : ok ? 200 : 404 });
+
+  const t = COPY[lang];
+  if (error) return page(lang, t.titleFailed, t.error, 500);
+  return ok ? page(lang, t.title, t.done, 200) : page(lang, t.titleFailed, t.unknown, 404);
+}
@@ -0,0 +1,180 @@
+// functions/api/companies.js
+// GET /api/companies
+//   ?mode=lite&lang=es -> [ {id, slug, name, service_ids, port_id, ...} ]
+//   ?ids=a,b,c&lang=es -> { items, missing } tarjetas en el orden pedido (id o slug; favoritos, comparador)
+//   ?q=&servicio=&puerto=&area=&region=&page=&pageSize=&lang= -> { items, total, page, pageSize }
+//   servicio/puerto admiten varios valores (a,b o repetidos); &match=all exige todos los servicios
+//   &sort=relevance|name|featured|distance|recent (por defecto relevance con q, si no featured)
+//     distance mide desde &cerca=<port_id> o, si no hay, desde el primer puerto filtrado
+//     y añade distance_km a cada item
+//   con q los resultados salen ordenados por relevancia (ver _lib/rank.js)
+//   facets: { servicio: {id: n}, puerto: {id: n}, area: {id: n} } (ver facetCounts en _lib/search.js)
+//   Caché HTTP: lite como catálogo (larga), búsquedas con TTL corto; ETag + 304 en ambos
+//   con q la respuesta añade también suggest: { servicio: [{id, name, term}], covered } si q nombra servicios
+//   (sinónimos de data/diccionario.json, ver _lib/synonyms.js)
+
+import { loadTable } from "../_lib/supabase.js";
+import { loadCatalogs } from "../_lib/catalogs.js";
+import { rankCompanies, STOPWORDS } from "../_lib/rank.js";
+import { loadVocabulary, matchServices } from "../_lib/synonyms.js";
+import {
+  cachedJson,
+  lastModifiedOf,
+  jsonError,
+  corsPreflight,
+  getLangParam,
+  intParam,
+  listParam,
+} from "../_lib/http.js";
+import {
+  localizeRow,
+  hasValidSearch,
+  filterCompanies,
+  facetCounts,
+  sortCompanies,
+  resolveSort,
+  orderCompanies,
+  companyDistanceKm,
+  paginate,
+  toLite,
+  toCard,
+} from "../_lib/search.js";
+
+const DEFAULT_PAGE_SIZE = 8;
+const MAX_PAGE_SIZE = 50;
+const MAX_IDS = 100;
+
+export async function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const lang = getLangParam(url);
+
+  let companies;
+  try {
+    companies = (await loadTable(context, "companies")).map((c) => localizeRow(c, lang));
+  } catch (err) {
+    console.error("companies load error:", err);
+    return jsonError(500, "load_failed");
+  }
+
+  // ===== LITE =====
+
+  const lastModified = lastModifiedOf(companies);
+
+  if (url.searchParams.get("mode") === "lite") {
+    return cachedJson(context.request, sortCompanies(companies, lang).map(toLite), {
+      policy: "catalog",
+      lastModified,
+    });
+  }
+
+  // ===== POR IDS =====
+
+  const ids = listParam(url, "ids").slice(0, MAX_IDS);
+
+  if (ids.length) {
+    const byKey = new Map();
+    companies.forEach((c) => {
+      if (c.slug) byKey.set(String(c.slug), c);
+      if (c.id != null) byKey.set(String(c.id), c);
+    });
+
+    const found = ids.map((id) => byKey.get(id) || null);
+    // id y slug de la misma empresa -> una sola tarjeta
+    const items = [...new Set(found.filter(Boolean))];
+
+    return cachedJson(context.request, {
+      items: items.map(toCard),
+      missing: ids.filter((id, i) => !found[i]),
+    }, {
+      policy: "profile",
+      lastModified: lastModifiedOf(items),
+    });
+  }
+
+  // ===== BÚSQUEDA PAGINADA =====
+
+  const filters = {
+    q: (url.searchParams.get("q") || "").trim(),
+    servicio: listParam(url, "servicio"),
+    puerto: listParam(url, "puerto"),
+    match: url.searchParams.get("match") === "all" ? "all" : "any",
+    area: (url.searchParams.get("area") || "").trim(),
+    region: (url.searchParams.get("region") || "").trim(),
+  };
+
+  if (!hasValidSearch(filters)) return jsonError(400, "missing_filters");
+
+  const sort = resolveSort(url.searchParams.get("sort"), filters);
+  const nearId = (url.searchParams.get("cerca") || "").trim() || filters.puerto[0] || "";
+
+  const page = intParam(url, "page", 1);
+  const pageSize = intParam(url, "pageSize", DEFAULT_PAGE_SIZE, { max: MAX_PAGE_SIZE });
+
+  // Catálogos: puertos para zona/región y facetas; servicios también para puntuar q
+  const tables = filters.q ? ["services", "ports"] : ["ports"];
+
+  let catalogs;
+  try {
+    catalogs = await loadCatalogs(context, lang, tables);
+  } catch (err) {
+    console.error("catalogs load error:", err);
+    return jsonError(500, "load_failed");
+  }
+
+  let vocabulary = null;
+  if (filters.q) {
+    vocabulary = await loadVocabulary(context, lang, catalogs.servicesById);
+  }
+
+  // q primero (filterCompanies respeta el orden), así las facetas parten de la misma base
+  const base = filters.q
+    ? rankCompanies(companies, filters.q, { ...catalogs, synonymsByService: vocabulary.termsByService }, lang)
+    : sortCompanies(companies, lang);
+  const nearPort = sort === "distance" ? catalogs.portsById.get(nearId) || null : null;
+  const ordered = sort === "relevance" || (sort === "featured" && !filters.q)
+    ? base
+    : orderCompanies(base, sort, {
+        lang,
+        nearPort,
+        portsById: catalogs.portsById,
+        addedOrder: new Map(companies.map((c, i) => [c.id, i])),
+      });
+
+  const matches = filterCompanies(ordered, filters, catalogs);
+  const result = paginate(matches, page, pageSize);
+
+  const body = {
+    ...result,
+    items: result.items.map((c) => {
+      const card = toCard(c);
+      if (nearPort) card.distance_km = companyDistanceKm(c, nearPort, catalogs.portsById);
+      return card;
+    }),
+    sort,
+    facets: facetCounts(base, filters, catalogs),
+  };
+
+  if (nearPort) body.cerca = nearPort.id;
+
+  if (vocabulary) {
+    const { services, covered } = matchServices(filters.q, vocabulary, { stopwords: STOPWORDS });
+    const suggested = services.filter((s) => !filters.servicio.includes(String(s.id)));
+
+    if (suggested.length) {
+      body.suggest = {
+        servicio: suggested.map((s) => ({
+          id: s.id,
+          name: catalogs.servicesById?.get(String(s.id))?.name || s.id,
+          term: s.term,
+        })),
+        covered,
+      };
+    }
+  }
+
+  return cachedJson(context.request, body, { policy: "search", lastModified });
+}
+
+export function onRequestOptions() {
+  return corsPreflight();
+}
@@ -0,0 +1,41 @@
+// functions/api/company.js
+// GET /api/company?id=...|slug=...&lang=es
+//   200 -> empresa + services[], port, secondary_ports[], region (nombres localizados)
+//   400 -> { error: "missing_id" }
+//   404 -> { error: "not_found" }
+//   ETag + Last-Modified (updated_at); If-None-Match -> 304
+
+import { loadCatalogs, expandCompany, findCompany } from "../_lib/catalogs.js";
+import { localizeRow } from "../_lib/search.js";
+import { cachedJson, lastModifiedOf, jsonError, corsPreflight, getLangParam } from "../_lib/http.js";
+
+export async function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const lang = getLangParam(url);
+
+  const id = (url.searchParams.get("id") || "").trim();
+  const slug = (url.searchParams.get("slug") || "").trim();
+
+  if (!id && !slug) return jsonError(400, "missing_id");
+
+  try {
+    const [company, catalogs] = await Promise.all([
+      findCompany(context, { id, slug }),
+      loadCatalogs(context, lang, ["services", "ports", "regions"]),
+    ]);
+
+    if (!company) return jsonError(404, "not_found", { id: id || null, slug: slug || null });
+
+    return cachedJson(context.request, expandCompany(localizeRow(company, lang), catalogs), {
+      policy: "profile",
+      lastModified: lastModifiedOf(company),
+    });
+  } catch (err) {
+    console.error("company load error:", err);
+    return jsonError(500, "load_failed");
+  }
+}
+
+export function onRequestOptions() {
+  return corsPreflight();
+}
@@ -0,0 +1,141 @@
+// functions/api/suggest.js
+// GET /api/suggest?q=&lang=&limit=
+//   -> { q, items: [ { type: "service"|"area"|"port"|"company", id, name, slug?, detail?, term? } ] }
+//   Autocompletado de la barra de búsqueda: prefijos y erratas como en _lib/rank.js.
+//   term = sinónimo que ha encajado (data/diccionario.json) cuando no ha sido el nombre.
+
+import { loadTable } from "../_lib/supabase.js";
+import { loadCatalogs } from "../_lib/catalogs.js";
+import { tokenize, matchTokens } from "../_lib/rank.js";
+import { loadVocabulary } from "../_lib/synonyms.js";
+import { localizeRow, normalize } from "../_lib/search.js";
+import { json, cachedJson, lastModifiedOf, jsonError, corsPreflight, getLangParam, intParam } from "../_lib/http.js";
+
+const MIN_QUERY_LENGTH = 2;
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+
+// Máximo por tipo, para que una consulta no se llene solo de empresas
+const TYPE_CAPS = { service: 3, area: 2, port: 3, company: 5 };
+// Con la misma puntuación, primero los filtros y luego las empresas
+const TYPE_ORDER = ["service", "area", "port", "company"];
+
+const SYNONYM_FACTOR = 0.8;
+const FEATURED_BOOST = 1.1;
+const NAME_PREFIX_BONUS = 0.5;
+
+function nameScore(queryTokens, qNorm, name) {
+  const s = matchTokens(queryTokens, tokenize(name));
+  if (!s) return 0;
+  return normalize(name).startsWith(qNorm) ? s + NAME_PREFIX_BONUS : s;
+}
+
+function top(list, cap) {
+  return list
+    .filter((x) => x.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, cap);
+}
+
+export async function onRequestGet(context) {
+  const url = new URL(context.request.url);
+  const lang = getLangParam(url);
+  const q = (url.searchParams.get("q") || "").trim();
+  const limit = intParam(url, "limit", DEFAULT_LIMIT, { max: MAX_LIMIT });
+
+  const queryTokens = tokenize(q);
+  const qNorm = normalize(q);
+
+  if (q.length < MIN_QUERY_LENGTH || !queryTokens.length) return json({ q, items: [] });
+
+  let catalogs;
+  let companies;
+  try {
+    [catalogs, companies] = await Promise.all([
+      loadCatalogs(context, lang, ["services", "ports", "areas"]),
+      loadTable(context, "companies"),
+    ]);
+  } catch (err) {
+    console.error("suggest load error:", err);
+    return jsonError(500, "load_failed");
+  }
+
+  const vocabulary = await loadVocabulary(context, lang);
+
+  const services = top(
+    catalogs.services.map((s) => {
+      const byName = nameScore(queryTokens, qNorm, s.name);
+
+      let bySynonym = 0;
+      let term = "";
+      for (const t of vocabulary.termsByService.get(String(s.id)) || []) {
+        const score = matchTokens(queryTokens, tokenize(t)) * SYNONYM_FACTOR;
+        if (score > bySynonym) {
+          bySynonym = score;
+          term = t;
+        }
+      }
+
+      const item = { type: "service", id: s.id, name: s.name };
+      if (bySynonym > byName) item.term = term;
+      return { item, score: Math.max(byName, bySynonym) };
+    }),
+    TYPE_CAPS.service
+  );
+
+  const areas = top(
+    catalogs.areas.map((a) => ({
+      item: { type: "area", id: a.id, name: a.name },
+      score: nameScore(queryTokens, qNorm, a.name),
+    })),
+    TYPE_CAPS.area
+  );
+
+  const ports = top(
+    catalogs.ports.map((p) => ({
+      item: {
+        type: "port",
+        id: p.id,
+        name: p.name,
+        detail: catalogs.areasById.get(String(p.area_id))?.name || "",
+      },
+      score: nameScore(queryTokens, qNorm, p.name),
+    })),
+    TYPE_CAPS.port
+  );
+
+  const companyMatches = top(
+    companies.map((raw) => {
+      const c = localizeRow(raw, lang);
+      const score = nameScore(queryTokens, qNorm, c.name);
+      return {
+        item: {
+          type: "company",
+          id: c.id,
+          slug: c.slug,
+          name: c.name,
+          detail: catalogs.portsById.get(String(c.port_id))?.name || "",
+        },
+        score: (c.featured ?? c.destacada) ? score * FEATURED_BOOST : score,
+      };
+    }),
+    TYPE_CAPS.company
+  );
+
+  const items = [...services, ...areas, ...ports, ...companyMatches]
+    .sort((a, b) => {
+      if (b.score !== a.score) return b.score - a.score;
+      return TYPE_ORDER.indexOf(a.item.type) - TYPE_ORDER.indexOf(b.item.type);
+    })
+    .slice(0, limit)
+    .map((x) => x.item);
+
+  return cachedJson(context.request, { q, items }, {
+    policy: "search",
+    lastModified: lastModifiedOf(companies, catalogs.services, catalogs.ports, catalogs.areas),
+  });
+}
+
+export function onRequestOptions() {
+  return corsPreflight();
+}
@@ -0,0 +1,21 @@
+// functions/buscar/[[path]].js
+// GET /buscar/?servicio=x[&puerto=y] -> 301 a /servicios/x/[y/] cuando la búsqueda tiene landing:
+// un servicio, como mucho un puerto y sin texto, zona ni región. Orden, cercanía y página se conservan.
+// El resto de búsquedas se sirven tal cual.
+
+import { listParam } from "../_lib/http.js";
+import { servicePath, routeSegments, redirect } from "../_lib/routes.js";
+
+export function onRequestGet(context) {
+  const { request } = context;
+  const url = new URL(request.url);
+  if (routeSegments(context).length) return context.next();
+
+  const servicio = listParam(url, "servicio");
+  const puerto = listParam(url, "puerto");
+  const extra = ["q", "area", "region"].some((k) => (url.searchParams.get(k) || "").trim());
+
+  if (servicio.length !== 1 || puerto.length > 1 || extra) return context.next();
+
+  return redirect(request, servicePath(servicio[0], puerto[0] || ""), { keep: ["sort", "cerca", "page"] });
+}
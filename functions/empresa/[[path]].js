@@ -0,0 +1,176 @@
+// functions/empresa/[[path]].js
+// GET /empresa/{slug}/           -> ficha renderizada en el servidor (plantilla /empresa/ con title,
+//                                   description, canonical, hreflang, Open Graph y los datos ya pintados;
+//                                   company.js hidrata con el JSON embebido sin volver a pedir /api/company)
+//                                   404 de verdad si el slug no existe
+// GET /empresa/?id=...|?slug=... -> 301 a /empresa/{slug}/
+// GET /empresa/                  -> la plantilla tal cual
+
+import { loadCatalogs, expandCompany, findCompany, findCompanyBySegment } from "../_lib/catalogs.js";
+import { localizeRow } from "../_lib/search.js";
+import { cachedResponse, html, lastModifiedOf, getLangParam } from "../_lib/http.js";
+import { LANGS, DEFAULT_LANG } from "../_lib/i18n.js";
+import { loadTemplate, loadDict, fillTemplate, renderHead, setText, setInnerHtml, setAttr, embedJson, escapeHtml } from "../_lib/pages.js";
+import { companyPath, ogImagePath, routeSegments, redirect, needsTrailingSlash, serveTemplate } from "../_lib/routes.js";
+
+const SITE_URL = "https://nauticards.es";
+
+// Textos de data/{lang}.json, los mismos que applyPageSEO (assets/js/seo.js)
+function translator(dict) {
+  return (key, fallback, vars) => fillTemplate(dict?.[key] ?? fallback, vars);
+}
+
+function withLang(path, lang) {
+  const u = new URL(path, SITE_URL);
+  if (lang !== DEFAULT_LANG) u.searchParams.set("lang", lang);
+  return u.href;
+}
+
+function alternatesFor(path) {
+  const out = Object.fromEntries(LANGS.map((lang) => [lang, withLang(path, lang)]));
+  return { ...out, "x-default": withLang(path, DEFAULT_LANG) };
+}
+
+function httpUrl(value) {
+  let raw = String(value || "").trim();
+  if (raw.startsWith("//")) raw = `https:${raw}`;
+  try {
+    const u = new URL(raw);
+    return u.protocol === "http:" || u.protocol === "https:" ? u.href : "";
+  } catch {
+    return "";
+  }
+}
+
+function renderCompany(page, company, lang, dict) {
+  const t = translator(dict);
+  const name = String(company.name || company.slug || "").trim();
+  const port = String(company.port?.name || "").trim();
+  const vars = { name, port };
+  const path = companyPath(company);
+  const logo = httpUrl(company.logo);
+  const website = httpUrl(company.website);
+
+  let out = renderHead(page, {
+    lang,
+    title: port
+      ? t("meta.company.detailTitleInPort", "{name} en {port} | NautiCards", vars)
+      : t("meta.company.detailTitle", "{name} | NautiCards", vars),
+    description: port
+      ? t("meta.company.detailDescriptionInPort", "Encuentra información de {name} en {port}.", vars)
+      : t("meta.company.detailDescription", "Encuentra información de {name}.", vars),
+    robots: "index,follow",
+    canonical: withLang(path, lang),
+    alternates: alternatesFor(path),
+    // Tarjeta generada (logo, puerto, servicios): ver functions/og/
+    image: withLang(ogImagePath("empresa", company.slug || company.id), lang),
+  });
+
+  out = setText(out, "company-name", name);
+  out = setText(out, "company-description", company.description || "—");
+  out = setText(out, "company-port", port || "—");
+  out = setText(out, "company-region", company.region?.name || "—");
+  out = setText(out, "company-location", company.address || "—");
+  out = setText(out, "company-address", company.address || "—");
+  out = setText(out, "company-phone", company.phone || "—");
+  out = setText(out, "company-email", company.email || "—");
+  out = setText(out, "company-web", website || "—");
+
+  // Las filas de contacto ya son <a> en la plantilla: solo se les pone el href
+  const phone = String(company.phone || "").replace(/[^\d+]/g, "");
+  const email = String(company.email || "").trim();
+  if (phone) out = setAttr(out, "company-phone-link", "href", `tel:${phone}`);
+  if (email) out = setAttr(out, "company-email-link", "href", `mailto:${email}`);
+  if (website) {
+    out = setAttr(out, "company-web-link", "href", website);
+    out = setAttr(out, "company-web-button", "href", website);
+  }
+
+  // Sin iconos: los pone company.js al hidratar
+  out = setInnerHtml(
+    out,
+    "company-services",
+    (company.services || [])
+      .map((s) => `<div class="rounded-2xl border border-border bg-[#f6f7f8] px-4 py-3.5 font-medium text-sm text-textMain">${escapeHtml(s.name || s.id)}</div>`)
+      .join("")
+  );
+
+  if (logo) {
+    for (const id of ["company-logo", "company-logo-mobile"]) {
+      out = setAttr(setAttr(out, id, "src", logo), id, "alt", name);
+    }
+  }
+
+  return embedJson(out, "company-data", { lang, company });
+}
+
+function renderNotFound(page, lang, dict) {
+  const t = translator(dict);
+  const notFound = t("company.notFound", "Empresa no encontrada");
+
+  const out = renderHead(page, {
+    lang,
+    title: `${notFound} | NautiCards`,
+    description: t("meta.company.description", "Ficha de empresa en el directorio náutico."),
+    robots: "noindex,follow",
+    canonical: withLang("/empresa/", lang),
+    alternates: alternatesFor("/empresa/"),
+  });
+
+  return embedJson(setText(out, "company-name", notFound), "company-data", { lang, company: null });
+}
+
+export async function onRequestGet(context) {
+  const { request } = context;
+  const url = new URL(request.url);
+  const parts = routeSegments(context);
+
+  if (!parts.length) {
+    const id = (url.searchParams.get("id") || "").trim();
+    const slug = (url.searchParams.get("slug") || "").trim();
+    if (!id && !slug) return context.next();
+    if (!id) return redirect(request, companyPath({ slug }));
+
+    // Con ?id= hay que buscar el slug; si no existe, 404 en su URL limpia
+    try {
+      const company = await findCompany(context, { id });
+      return redirect(request, companyPath(company || { id }));
+    } catch (err) {
+      console.error("company redirect error:", err);
+      return context.next();
+    }
+  }
+
+  if (parts.length > 1) return context.next();
+  if (needsTrailingSlash(request)) return redirect(request, `${url.pathname}/`);
+
+  const lang = getLangParam(url);
+
+  try {
+    const [row, catalogs, page, dict] = await Promise.all([
+      findCompanyBySegment(context, parts[0]),
+      loadCatalogs(context, lang, ["services", "ports", "regions"]),
+      loadTemplate(context, "/empresa/"),
+      loadDict(context, lang),
+    ]);
+
+    if (page == null) return context.next();
+    if (!row) return html(renderNotFound(page, lang, dict), { status: 404 });
+
+    // Una sola URL por empresa: /empresa/{id}/ de una empresa con slug -> su slug
+    if (String(row.slug || row.id) !== parts[0]) {
+      return redirect(request, companyPath(row));
+    }
+
+    const company = expandCompany(localizeRow(row, lang), catalogs);
+    return cachedResponse(request, renderCompany(page, company, lang, dict), {
+      contentType: "text/html; charset=utf-8",
+      policy: "profile",
+      lastModified: lastModifiedOf(row),
+    });
+  } catch (err) {
+    // Sin datos: la plantilla sin rellenar, el cliente lo intentará con /api/company
+    console.error("company page error:", err);
+    return serveTemplate(context, "/empresa/");
+  }
+}
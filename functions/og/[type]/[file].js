@@ -0,0 +1,70 @@
+// functions/og/[type]/[file].js
+// GET /og/empresa/{slug}.png[?lang=en] -> tarjeta para compartir de la empresa (logo, puerto, servicios)
+// GET /og/puerto/{id}.png[?lang=en]    -> tarjeta del puerto (zona, nº de empresas, servicios más comunes)
+//   404 si el tipo o la ficha no existen. Plantilla y rasterizado en _lib/og.js.
+
+import { loadCatalogs, expandCompany, findCompanyBySegment } from "../../_lib/catalogs.js";
+import { loadTable } from "../../_lib/supabase.js";
+import { localizeRow, companyPortIds } from "../../_lib/search.js";
+import { cachedResponse, lastModifiedOf, getLangParam } from "../../_lib/http.js";
+import { companyCard, portCard, renderCardPng } from "../../_lib/og.js";
+
+function notFound() {
+  return new Response("Not found", {
+    status: 404,
+    headers: { "Content-Type": "text/plain; charset=utf-8", "Cache-Control": "no-store" },
+  });
+}
+
+async function companyOg(context, id, lang) {
+  const [row, catalogs] = await Promise.all([
+    findCompanyBySegment(context, id),
+    loadCatalogs(context, lang, ["services", "ports", "regions"]),
+  ]);
+  if (!row) return null;
+
+  const company = expandCompany(localizeRow(row, lang), catalogs);
+  return { card: companyCard(company), lastModified: lastModifiedOf(row) };
+}
+
+async function portOg(context, id, lang) {
+  const [catalogs, companies] = await Promise.all([
+    loadCatalogs(context, lang, ["services", "ports", "regions", "areas"]),
+    loadTable(context, "companies"),
+  ]);
+  const port = catalogs.portsById.get(id);
+  if (!port) return null;
+
+  const atPort = companies.filter((c) => companyPortIds(c).includes(id));
+  return {
+    card: portCard(port, { lang, companies: atPort, catalogs }),
+    lastModified: lastModifiedOf(port, atPort),
+  };
+}
+
+const BUILDERS = { empresa: companyOg, puerto: portOg };
+
+export async function onRequestGet(context) {
+  const { request, params } = context;
+  const build = BUILDERS[String(params?.type || "")];
+  const id = String(params?.file || "").match(/^(.+)\.png$/)?.[1];
+  if (!build || !id) return notFound();
+
+  const lang = getLangParam(new URL(request.url));
+
+  try {
+    const found = await build(context, id, lang);
+    if (!found) return notFound();
+
+    const png = await renderCardPng(context, found.card);
+    return cachedResponse(request, png, {
+      contentType: "image/png",
+      policy: "image",
+      lastModified: found.lastModified,
+    });
+  } catch (err) {
+    // Sin tarjeta: la imagen genérica del sitio
+    console.error("og image error:", err);
+    return Response.redirect(new URL("/assets/img/hero.webp", request.url).href, 302);
+  }
+}
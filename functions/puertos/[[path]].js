@@ -0,0 +1,32 @@
+// functions/puertos/[[path]].js
+// GET /puertos/{id}/                -> ficha del puerto (plantilla /puertos/); 404 si el puerto no existe
+// GET /puertos/?id=...|?puerto=...  -> 301 a /puertos/{id}/ (la zona se deduce del puerto)
+// GET /puertos/ y /puertos/?area=   -> la plantilla tal cual
+
+import { catalogHas } from "../_lib/catalogs.js";
+import { portPath, routeSegments, redirect, needsTrailingSlash, serveTemplate } from "../_lib/routes.js";
+
+export async function onRequestGet(context) {
+  const { request } = context;
+  const url = new URL(request.url);
+  const parts = routeSegments(context);
+
+  if (!parts.length) {
+    const id = (url.searchParams.get("id") || url.searchParams.get("puerto") || "").trim();
+    return id ? redirect(request, portPath(id)) : context.next();
+  }
+
+  if (parts.length > 1) return context.next();
+  if (needsTrailingSlash(request)) return redirect(request, `${url.pathname}/`);
+
+  try {
+    if (!(await catalogHas(context, "ports", parts[0]))) {
+      return serveTemplate(context, "/puertos/", { status: 404 });
+    }
+  } catch (err) {
+    // Sin catálogo no se puede saber: la plantilla, como siempre
+    console.error("port page error:", err);
+  }
+
+  return serveTemplate(context, "/puertos/");
+}
@@ -0,0 +1,31 @@
+// functions/servicios/[[path]].js
+// GET /servicios/{servicio}/          -> landing del servicio (plantilla /buscar/)
+// GET /servicios/{servicio}/{puerto}/ -> servicio en un puerto (plantilla /buscar/)
+// GET /servicios/                     -> catálogo de servicios (estático)
+// 404 si el servicio o el puerto no existen.
+// Los filtros salen de la ruta en el cliente (getQueryParams, assets/js/utils.js).
+
+import { catalogHas } from "../_lib/catalogs.js";
+import { routeSegments, redirect, needsTrailingSlash, serveTemplate } from "../_lib/routes.js";
+
+export async function onRequestGet(context) {
+  const { request } = context;
+  const url = new URL(request.url);
+  const parts = routeSegments(context);
+
+  if (!parts.length || parts.length > 2) return context.next();
+  if (needsTrailingSlash(request)) return redirect(request, `${url.pathname}/`, { keep: ["sort", "cerca", "page"] });
+
+  try {
+    const [service, port] = await Promise.all([
+      catalogHas(context, "services", parts[0]),
+      parts.length > 1 ? catalogHas(context, "ports", parts[1]) : true,
+    ]);
+    if (!service || !port) return serveTemplate(context, "/buscar/", { status: 404 });
+  } catch (err) {
+    // Sin catálogo no se puede saber: la plantilla, como siempre
+    console.error("service page error:", err);
+  }
+
+  return serveTemplate(context, "/buscar/");
+}
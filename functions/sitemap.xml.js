@@ -1,126 +1,21 @@
-function xmlEscape(s) {
-  return String(s ?? "")
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&apos;");
-}
-
-async function sbGet(env, pathAndQuery) {
-  const base = env.SUPABASE_URL;
-  const key = env.SUPABASE_SERVICE_ROLE_KEY || env.SUPABASE_ANON_KEY;
-
-  const url = `${base}/rest/v1/${pathAndQuery}`;
-
-  const r = await fetch(url, {
-    headers: {
-      apikey: key,
-      Authorization: `Bearer ${key}`,
-    },
-  });
-
-  if (!r.ok) {
-    const body = await r.text();
-    console.error("Supabase error:", body);
-    return [];
-  }
-
-  return r.json();
-}
-
-export async function onRequestGet({ env }) {
-  const BASE = "https://nauticards.es/";
-  const now = new Date().toISOString();
-
-  const urls = [];
-
-  // ===== PÁGINAS ESTÁTICAS =====
-
-  urls.push(new URL("", BASE).href);
-  urls.push(new URL("buscar/", BASE).href);
-
-  // ===== CARGAR DATOS =====
-
-  const [companies, services, ports] = await Promise.all([
-    sbGet(env, "companies?select=id"),
-    sbGet(env, "services?select=id"),
-    sbGet(env, "ports?select=id"),
-  ]);
-
-  // ===== EMPRESAS =====
-
-  if (Array.isArray(companies)) {
-    for (const c of companies) {
-      urls.push(
-        new URL(
-          `empresa/?id=${encodeURIComponent(c.id)}`,
-          BASE
-        ).href
-      );
-    }
-  }
-
-  // ===== PUERTOS =====
-
-  if (Array.isArray(ports)) {
-    for (const p of ports) {
-      urls.push(
-        new URL(
-          `buscar/?puerto=${encodeURIComponent(p.id)}`,
-          BASE
-        ).href
-      );
-    }
-  }
-
-  // ===== SERVICIOS =====
-
-  if (Array.isArray(services)) {
-    for (const s of services) {
-      urls.push(
-        new URL(
-          `buscar/?servicio=${encodeURIComponent(s.id)}`,
-          BASE
-        ).href
-      );
-    }
-  }
-
-  // ===== SERVICIO + PUERTO =====
-
-  if (Array.isArray(services) && Array.isArray(ports)) {
-    for (const s of services) {
-      for (const p of ports) {
-        urls.push(
-          new URL(
-            `buscar/?servicio=${encodeURIComponent(
-              s.id
-            )}&puerto=${encodeURIComponent(p.id)}`,
-            BASE
-          ).href
-        );
-      }
-    }
-  }
-
-  // ===== GENERAR XML =====
-
-  const xml = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-${urls
-  .map(
-    (u) => `<url>
-  <loc>${xmlEscape(u)}</loc>
-  <lastmod>${now}</lastmod>
-</url>`
-  )
-  .join("\n")}
-</urlset>`;
-
-  return new Response(xml, {
-    headers: {
-      "Content-Type": "application/xml",
-    },
-  });
-}
+// functions/sitemap.xml.js
+// GET /sitemap.xml -> índice de sitemaps: /sitemaps/{paginas|empresas|puertos|servicios}-{n}.xml
+// (ver _lib/sitemap.js)
+
+import { cachedResponse } from "./_lib/http.js";
+import { loadSitemapEntries, splitSitemaps, sitemapIndexXml, sitemapUnavailable } from "./_lib/sitemap.js";
+
+export async function onRequestGet(context) {
+  try {
+    const { lastModified, entries } = await loadSitemapEntries(context);
+
+    return cachedResponse(context.request, sitemapIndexXml(splitSitemaps(entries)), {
+      contentType: "application/xml; charset=utf-8",
+      policy: "sitemap",
+      lastModified,
+    });
+  } catch (err) {
+    console.error("sitemap index error:", err);
+    return sitemapUnavailable();
+  }
+}
@@ -0,0 +1,35 @@
+// functions/sitemaps/[name].js
+// GET /sitemaps/{tipo}-{n}.xml -> página n del sitemap de ese tipo (los enlaza /sitemap.xml)
+//   404 si el tipo no existe o la página se sale del rango
+
+import { cachedResponse, lastModifiedOf } from "../_lib/http.js";
+import { loadSitemapEntries, splitSitemaps, sitemapName, urlsetXml, sitemapUnavailable } from "../_lib/sitemap.js";
+
+export async function onRequestGet(context) {
+  const name = String(context.params?.name || "");
+
+  let entries;
+  try {
+    ({ entries } = await loadSitemapEntries(context));
+  } catch (err) {
+    console.error("sitemap error:", err);
+    return sitemapUnavailable();
+  }
+  const sitemap = splitSitemaps(entries).find((s) => sitemapName(s) === name);
+
+  if (!sitemap) {
+    return new Response("Not found", {
+      status: 404,
+      headers: { "Content-Type": "text/plain; charset=utf-8", "Cache-Control": "no-store" },
+    });
+  }
+
+  // Last-Modified del hijo: la URL más reciente que contiene
+  const lastModified = lastModifiedOf(sitemap.entries.map((e) => ({ updated_at: e.lastmod })));
+
+  return cachedResponse(context.request, urlsetXml(sitemap.entries), {
+    contentType: "application/xml; charset=utf-8",
+    policy: "sitemap",
+    lastModified,
+  });
+}
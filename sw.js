@@ -0,0 +1,240 @@
+// sw.js — Service worker de NautiCards (scope: /)
+//
+// - Precarga el "shell": páginas principales, CSS, módulos de assets/js y diccionarios.
+// - Páginas: red primero; sin red, la copia guardada (ignorando la query), la plantilla de las
+//   URLs limpias (/empresa/{slug}/ -> /empresa/, ...) o /offline.html.
+// - assets/ y CDNs: stale-while-revalidate. data/*.json (diccionarios): red primero.
+// - Catálogos de la API (servicios, puertos, regiones, zonas, índice lite): stale-while-revalidate.
+// - Fichas (/api/company y las páginas /empresa/{slug}/, que ya traen los datos embebidos):
+//   red primero y se guardan las últimas MAX_COMPANIES vistas (las lista /offline.html).
+//
+// IMPORTANTE: sube SW_VERSION en cada despliegue. Así el navegador detecta la versión nueva
+// y la web muestra el aviso "Nueva versión disponible" (assets/js/ui/pwa.js).
+
+const SW_VERSION = "2026-10-19.19";
+
+const SHELL_CACHE = `nc-shell-${SW_VERSION}`;
+const RUNTIME_CACHE = "nc-runtime";
+const API_CACHE = "nc-api";
+const COMPANIES_CACHE = "nc-companies";
+const KEEP = [SHELL_CACHE, RUNTIME_CACHE, API_CACHE, COMPANIES_CACHE];
+
+const OFFLINE_URL = "/offline.html";
+const MAX_COMPANIES = 50;
+const MAX_RUNTIME = 120;
+
+const SHELL_URLS = [
+  "/",
+  "/buscar/",
+  "/empresa/",
+  "/puertos/",
+  "/servicios/",
+  "/contacto/",
+  "/favoritos/",
+  "/comparar/",
+  OFFLINE_URL,
+  "/site.webmanifest",
+  "/favicon.ico",
+  "/assets/styles.css",
+  "/assets/i18n.js",
+  "/assets/img/logoheader.svg",
+  "/assets/img/placeholder.webp",
+  "/assets/js/config.js",
+  "/assets/js/dal.js",
+  "/assets/js/favorites.js",
+  "/assets/js/langs.js",
+  "/assets/js/main.js",
+  "/assets/js/router.js",
+  "/assets/js/seo.js",
+  "/assets/js/urls.js",
+  "/assets/js/utils.js",
+  "/assets/js/pages/company.js",
+  "/assets/js/pages/compare.js",
+  "/assets/js/pages/favorites.js",
+  "/assets/js/pages/home.js",
+  "/assets/js/pages/ports.js",
+  "/assets/js/pages/services.js",
+  "/assets/js/ui/alerts.js",
+  "/assets/js/ui/cards.js",
+  "/assets/js/ui/compare.js",
+  "/assets/js/ui/facets.js",
+  "/assets/js/ui/favorites.js",
+  "/assets/js/ui/filters.js",
+  "/assets/js/ui/forms.js",
+  "/assets/js/ui/multiselect.js",
+  "/assets/js/ui/nav.js",
+  "/assets/js/ui/pagination.js",
+  "/assets/js/ui/portmap.js",
+  "/assets/js/ui/pwa.js",
+  "/assets/js/ui/typeahead.js",
+  "/data/es.json",
+  "/data/en.json",
+  "/data/ca.json",
+  "/data/diccionario.json",
+];
+
+// Endpoints de catálogo (cambian poco): se sirven de caché y se refrescan detrás
+const CATALOG_PATHS = ["/api/services", "/api/p_services", "/api/ports", "/api/regions", "/api/areas"];
+
+// CDNs de las que depende el layout (Tailwind, Lucide, Leaflet, fuentes)
+const CDN_HOSTS = ["cdn.tailwindcss.com", "unpkg.com", "fonts.googleapis.com", "fonts.gstatic.com"];
+
+self.addEventListener("install", (event) => {
+  // Sin skipWaiting: la versión nueva espera a que el usuario acepte el aviso
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then((cache) => cache.addAll(SHELL_URLS.map((u) => new Request(u, { cache: "reload" }))))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const names = await caches.keys();
+      await Promise.all(names.filter((n) => n.startsWith("nc-") && !KEEP.includes(n)).map((n) => caches.delete(n)));
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+// ===== Estrategias =====
+
+async function trimCache(name, max) {
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  // keys() conserva el orden de inserción: fuera las más antiguas
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map((k) => cache.delete(k)));
+}
+
+async function putInCache(name, request, response, max) {
+  const cache = await caches.open(name);
+  await cache.delete(request); // re-insertar = pasa a ser la más reciente
+  await cache.put(request, response);
+  if (max) await trimCache(name, max);
+}
+
+async function staleWhileRevalidate(event, cacheName, max) {
+  const { request } = event;
+  // Primero la caché de destino (tiene la copia más nueva); luego cualquiera
+  const cached = (await (await caches.open(cacheName)).match(request)) || (await caches.match(request));
+
+  const network = fetch(request)
+    .then((response) => {
+      if (response.ok || response.type === "opaque") {
+        event.waitUntil(putInCache(cacheName, request, response.clone(), max));
+      }
+      return response;
+    })
+    .catch(() => null);
+
+  if (cached) {
+    event.waitUntil(network);
+    return cached;
+  }
+
+  return (await network) || Response.error();
+}
+
+async function networkFirst(event, cacheName, max) {
+  const { request } = event;
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) event.waitUntil(putInCache(cacheName, request, response.clone(), max));
+    return response;
+  } catch (err) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// Fichas renderizadas en el servidor: no pasan por /api/company, se guardan como página
+const COMPANY_PAGE = /^\/empresa\/[^/]+\/$/;
+
+// URLs limpias -> plantilla que las sirve (con <base>, igual que functions/_lib/routes.js)
+const TEMPLATE_ROUTES = [
+  [COMPANY_PAGE, "/empresa/"],
+  [/^\/puertos\/[^/]+\/$/, "/puertos/"],
+  [/^\/servicios\/[^/]+\/(?:[^/]+\/)?$/, "/buscar/"],
+];
+
+async function cachedTemplate(request) {
+  const { pathname } = new URL(request.url);
+  const route = TEMPLATE_ROUTES.find(([re]) => re.test(pathname));
+  const cached = route && (await caches.match(route[1]));
+  if (!cached) return null;
+
+  let page = await cached.text();
+  if (!/<base\s[^>]*href=/i.test(page)) page = page.replace(/<head([^>]*)>/i, `<head$1>\n  <base href="${route[1]}">`);
+  return new Response(page, { headers: { "Content-Type": "text/html; charset=utf-8" } });
+}
+
+async function navigate(event) {
+  try {
+    const response = await fetch(event.request);
+    if (response.ok) {
+      const isCompany = COMPANY_PAGE.test(new URL(event.request.url).pathname);
+      event.waitUntil(
+        isCompany
+          ? putInCache(COMPANIES_CACHE, event.request, response.clone(), MAX_COMPANIES)
+          : putInCache(RUNTIME_CACHE, event.request, response.clone(), MAX_RUNTIME)
+      );
+    }
+    return response;
+  } catch {
+    // Ficha no visitada -> la plantilla (los datos los pone la API cacheada)
+    return (
+      (await caches.match(event.request)) ||
+      (await caches.match(event.request, { ignoreSearch: true })) ||
+      (await cachedTemplate(event.request)) ||
+      (await caches.match(OFFLINE_URL)) ||
+      Response.error()
+    );
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+
+  if (request.mode === "navigate") {
+    event.respondWith(navigate(event));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    if (CATALOG_PATHS.includes(url.pathname) || (url.pathname === "/api/companies" && url.searchParams.get("mode") === "lite")) {
+      event.respondWith(staleWhileRevalidate(event, API_CACHE));
+      return;
+    }
+
+    if (url.pathname === "/api/company") {
+      event.respondWith(networkFirst(event, COMPANIES_CACHE, MAX_COMPANIES));
+      return;
+    }
+
+    // Búsquedas, sugerencias, formularios: siempre a la red
+    if (url.pathname.startsWith("/api/")) return;
+
+    if (url.pathname.startsWith("/data/")) {
+      event.respondWith(networkFirst(event, RUNTIME_CACHE, MAX_RUNTIME));
+      return;
+    }
+
+    // Los assets se refrescan dentro de la caché de esta versión (donde ya están precargados)
+    if (url.pathname.startsWith("/assets/")) {
+      event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    }
+    return;
+  }
+
+  if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, RUNTIME_CACHE, MAX_RUNTIME));
+  }
+});
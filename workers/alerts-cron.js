@@ -0,0 +1,29 @@
+// workers/alerts-cron.js
+// Worker programado de las alertas de búsquedas guardadas (las Pages Functions no admiten cron).
+// Despliegue (wrangler.toml del Worker):
+//   main = "workers/alerts-cron.js"
+//   [triggers] crons = ["0 7 * * *"]   -> cada día a las 07:00 UTC
+// Variables: SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, SITE_URL, MAIL_TRANSPORT, MAIL_FROM, RESEND_API_KEY
+// Los catálogos y el diccionario se leen de SITE_URL/data/ (no hay binding ASSETS fuera de Pages).
+
+import { runSavedSearchAlerts } from "../functions/_lib/alerts.js";
+import { createMailTransport } from "../functions/_lib/mail.js";
+
+const DEFAULT_SITE_URL = "https://nauticards.es";
+
+export default {
+  async scheduled(controller, env, ctx) {
+    const siteUrl = env.SITE_URL || DEFAULT_SITE_URL;
+    const context = { env, request: new Request(`${siteUrl}/`) };
+
+    ctx.waitUntil(
+      runSavedSearchAlerts(context, {
+        transport: createMailTransport(env),
+        siteUrl,
+        now: new Date(controller.scheduledTime),
+      })
+        .then((summary) => console.log("alerts:", JSON.stringify(summary)))
+        .catch((err) => console.error("alerts cron error:", err))
+    );
+  },
+};